@@ -0,0 +1,198 @@
+import Command from "@zhihaoo/command";
+import {
+  ConfigManager,
+  Logger,
+  ErrorHandler,
+  ZhgitError,
+  ERROR_CODES,
+  safeExecute,
+  AccountStatus,
+  DeviceFlow,
+} from "@zhihaoo/utils";
+import ora from "ora";
+
+const spinner = ora({
+  text: "加载中...",
+  prefixText: "【zhgit】",
+});
+
+class AuthCommand extends Command {
+  get command() {
+    return "auth <action> [profile]";
+  }
+
+  get description() {
+    return "Token 管理 (login: 在浏览器中授权登录，status: 查看各账户配置的 Token 状态，logout: 删除 Token)";
+  }
+
+  get options() {
+    return [
+      [
+        "--platform <platform>",
+        `只处理该平台的 Token (${ConfigManager.PLATFORMS.join("|")})`,
+      ],
+      ["--host <host>", "只处理该企业版主机的 Token，如 git.corp.example"],
+      [
+        "--client-id <id>",
+        "login 使用的 OAuth 应用 Client ID，覆盖 hosts 配置",
+      ],
+      ["--scopes <scopes>", "login 申请的权限范围，逗号分隔"],
+    ];
+  }
+
+  async action([action, profile, opts]) {
+    try {
+      await safeExecute(async () => {
+        switch (action) {
+          case "login":
+            await this.login(opts);
+            break;
+          case "status":
+            await this.status(opts);
+            break;
+          case "logout":
+            await this.logout(profile, opts);
+            break;
+          default:
+            throw new ZhgitError(
+              `不支持的操作: ${action}，可选: login, status, logout`,
+              ERROR_CODES.INVALID_INPUT
+            );
+        }
+      }, "auth操作");
+    } catch (error) {
+      if (error instanceof ZhgitError) {
+        ErrorHandler.displayError(error);
+      } else {
+        const zhgitError = ErrorHandler.handle(error, "auth操作");
+        ErrorHandler.displayError(zhgitError);
+      }
+      process.exit(1);
+    }
+  }
+
+  /**
+   * 通过 OAuth 设备授权流程获取 Token：显示验证码，用户在浏览器中授权后保存为账户配置
+   * @param {Object} opts - 命令选项，--platform / --host 指定站点，默认根据远程仓库检测
+   */
+  async login(opts) {
+    const site = await ConfigManager.resolveSiteOption(opts);
+    const flow = new DeviceFlow(
+      ConfigManager.resolveDeviceFlow(site, {
+        clientId: opts.clientId,
+        scopes: opts.scopes
+          ?.split(",")
+          .map((scope) => scope.trim())
+          .filter(Boolean),
+      })
+    );
+
+    spinner.start(`正在向 ${flow.name} 申请验证码...`);
+    const code = await flow.requestCode();
+    spinner.stop();
+
+    Logger.info(`请在浏览器中打开 ${code.verificationUri}`);
+    Logger.info(`输入验证码: ${code.userCode}`);
+    if (code.verificationUriComplete) {
+      Logger.info(`或直接打开: ${code.verificationUriComplete}`);
+    }
+
+    spinner.start("等待浏览器中完成授权...");
+    let token;
+    try {
+      token = await flow.pollToken(code);
+    } finally {
+      spinner.stop();
+    }
+
+    await ConfigManager.saveToken(token, site);
+  }
+
+  /**
+   * 输出每个账户配置的登录名、权限范围、API 剩余额度和最近使用时间
+   * 指定 --profile 时只检查该配置，存在无效 Token 时以非零状态退出
+   * @param {Object} opts - 命令选项
+   */
+  async status(opts) {
+    const site =
+      opts.platform || opts.host
+        ? await ConfigManager.resolveSiteOption(opts)
+        : null;
+    const override = ConfigManager.getProfileOverride();
+    const profiles = ConfigManager.listProfiles().filter((profile) =>
+      override
+        ? profile.name === ConfigManager.findProfile(override)?.name
+        : !site || profile.site === site
+    );
+    if (override && profiles.length === 0) {
+      throw new ZhgitError(
+        `未找到账户配置: ${override}`,
+        ERROR_CODES.AUTH_TOKEN_MISSING
+      );
+    }
+
+    const envToken = override
+      ? null
+      : ConfigManager.getEnvToken(site || ConfigManager.detectSite());
+    if (envToken) {
+      Logger.info(
+        `正在使用环境变量 ${envToken.variable} 中的 Token，优先于已保存的 Token`
+      );
+    }
+
+    if (profiles.length === 0) {
+      Logger.warn(
+        "尚未保存任何 Token，请使用 zhgit auth login 或 zhgit config <token> 设置"
+      );
+      return;
+    }
+
+    const invalid = [];
+    for (const profile of profiles) {
+      spinner.start(`正在检查 ${profile.name} 的 Token...`);
+      const status = await AccountStatus.check(profile);
+      spinner.stop();
+      AccountStatus.report(status);
+      if (!status.valid) {
+        invalid.push(status);
+      }
+    }
+
+    if (invalid.length > 0) {
+      throw new ZhgitError(
+        `${invalid.length} 个 Token 无效，请使用 zhgit config <token> 重新设置`,
+        ERROR_CODES.AUTH_TOKEN_INVALID
+      );
+    }
+  }
+
+  /**
+   * 删除账户配置及其 Token
+   * @param {string} name - 账户配置名或登录名，不指定时为站点当前使用的账户配置
+   * @param {Object} opts - 命令选项，--platform / --host 指定站点，默认根据远程仓库检测
+   */
+  async logout(name, opts) {
+    const site = await ConfigManager.resolveSiteOption(opts);
+    const profile = name
+      ? ConfigManager.findProfile(
+          name,
+          opts.platform || opts.host ? site : null
+        )
+      : ConfigManager.resolveProfile(site);
+
+    if (!profile) {
+      throw new ZhgitError(
+        name
+          ? `未找到账户配置: ${name}`
+          : `未找到 ${ConfigManager.getSiteName(site)} Token`,
+        ERROR_CODES.AUTH_TOKEN_MISSING
+      );
+    }
+
+    await ConfigManager.removeToken(profile.name);
+  }
+}
+
+export default function Auth(instance) {
+  return new AuthCommand(instance);
+}
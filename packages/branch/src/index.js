@@ -1,5 +1,6 @@
 import Command from "@zhihaoo/command";
 import {
+  ConfigManager,
   Logger,
   GitUtils,
   ErrorHandler,
@@ -127,14 +128,15 @@ class BranchCommand extends Command {
       Logger.warn(`强制覆盖现有分支: ${branchName}`);
     }
 
-    // 拉取远程基础分支最新代码
-    await this.fetchBaseBranch(baseBranch);
+    // 拉取远程基础分支最新代码，Fork 工作流中从上游仓库拉取
+    const remote = ConfigManager.getRemotes().base;
+    await this.fetchBaseBranch(baseBranch, remote);
 
     // 创建并切换到新分支
-    await this.createAndSwitchBranch(branchName, `origin/${baseBranch}`);
+    await this.createAndSwitchBranch(branchName, `${remote}/${baseBranch}`);
 
     Logger.success(`🎉 成功创建并切换到分支: ${branchName}`);
-    Logger.info(`📍 基于: origin/${baseBranch}`);
+    Logger.info(`📍 基于: ${remote}/${baseBranch}`);
   }
 
   /**
@@ -272,7 +274,7 @@ class BranchCommand extends Command {
   /**
    * 拉取基础分支最新代码
    */
-  async fetchBaseBranch(baseBranch) {
+  async fetchBaseBranch(baseBranch, remote = "origin") {
     const retryFetch = withRetry(
       3,
       2000,
@@ -280,7 +282,7 @@ class BranchCommand extends Command {
     )(async () => {
       return await safeExecute(async () => {
         spinner.start(`拉取 ${baseBranch} 分支最新代码...`);
-        GitUtils.fetchBranch(baseBranch);
+        GitUtils.fetchBranch(baseBranch, remote);
         spinner.succeed(`${baseBranch} 分支代码已更新`);
       }, "拉取基础分支");
     });
@@ -3,6 +3,7 @@ import fse from "fs-extra";
 import semver from "semver";
 import { dirname } from "dirname-filename-esm";
 import { program } from "commander";
+import { ConfigManager } from "@zhihaoo/utils";
 
 const __dirname = dirname(import.meta);
 const pkgPath = path.resolve(__dirname, "../package.json");
@@ -15,8 +16,17 @@ export default function createCLI() {
     .name(Object.keys(pkg.bin)[0])
     .usage("<command> [options]")
     .option("-d, --debug", "是否启动调试模式")
+    .option(
+      "--profile <name>",
+      "使用指定的账户配置（登录名@主机），默认根据远程仓库的主机选择"
+    )
     .hook("preAction", preAction);
 
+  // 本次命令使用的账户配置，覆盖按远程仓库主机的自动选择
+  program.on("option:profile", (name) => {
+    ConfigManager.useProfile(name);
+  });
+
   program.on("option:debug", () => {
     console.log(program.opts());
     if (program.opts().debug) {
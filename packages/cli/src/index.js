@@ -1,6 +1,8 @@
 import createPushCommand from "@zhihaoo/push";
 import createConfigCommand from "@zhihaoo/config";
 import createBranchCommand from "@zhihaoo/branch";
+import createPrCommand from "@zhihaoo/pr";
+import createAuthCommand from "@zhihaoo/auth";
 import createCLI from "./createCLI.js";
 
 export default function (args) {
@@ -8,5 +10,7 @@ export default function (args) {
   createPushCommand(program);
   createConfigCommand(program);
   createBranchCommand(program);
+  createPrCommand(program);
+  createAuthCommand(program);
   program.parse(process.argv);
 }
@@ -2,50 +2,70 @@ import Command from "@zhihaoo/command";
 import {
   ConfigManager,
   Logger,
-  GitUtils,
   ErrorHandler,
   ZhgitError,
   ERROR_CODES,
   safeExecute,
+  PreferenceSchema,
+  AccountStatus,
 } from "@zhihaoo/utils";
 
+// 偏好设置的来源名称
+const SOURCE_NAMES = {
+  repo: "仓库 (.zhgitrc.json)",
+  global: "全局 (~/.zhihaorc)",
+  default: "默认值",
+};
+
 class ConfigCommand extends Command {
   get command() {
-    return "config [token]";
+    return "config [action] [key] [value]";
   }
 
   get description() {
-    return "设置开发者的配置信息";
+    return "设置开发者的配置信息：config <token> 保存 Token，config set|get|unset|list 管理偏好设置";
+  }
+
+  get options() {
+    return [
+      [
+        "--platform <platform>",
+        `Token 所属平台 (${ConfigManager.PLATFORMS.join(
+          "|"
+        )})，默认根据远程仓库检测`,
+      ],
+      ["--host <host>", "Token 所属的企业版主机，如 git.corp.example"],
+      ["--verify", "验证已保存的 Token，输出登录名、权限范围和 API 剩余额度"],
+      ["--global", "读写 ~/.zhihaorc 中的个人偏好设置（set/unset 的默认范围）"],
+      ["--repo", "读写仓库的 .zhgitrc.json，随代码提交与团队共享"],
+    ];
   }
 
-  async action([token, opts]) {
+  async action([action, key, value, opts]) {
     try {
       await safeExecute(async () => {
-        // 验证输入
-        if (!token) {
-          throw new ZhgitError(
-            "请输入 GitHub Token",
-            ERROR_CODES.INVALID_INPUT
-          );
+        switch (action) {
+          case "set":
+            this.setPreference(key, value, opts);
+            break;
+          case "get":
+            this.getPreference(key, opts);
+            break;
+          case "unset":
+            this.unsetPreference(key, opts);
+            break;
+          case "list":
+            this.listPreferences(opts);
+            break;
+          default:
+            // 兼容 zhgit config <token>，仅指定 --verify 时只验证已保存的 Token
+            if (action || !opts.verify) {
+              await this.saveToken(action, opts);
+            }
+            if (opts.verify) {
+              await this.verifyToken(opts);
+            }
         }
-
-        // 检查是否在 Git 仓库中
-        if (!GitUtils.isGitRepository()) {
-          throw new ZhgitError(
-            '请在 Git 仓库中执行此命令，或先配置全局用户名: git config --global user.name "your-name"',
-            ERROR_CODES.GIT_NOT_REPOSITORY
-          );
-        }
-
-        // 获取用户名
-        const username = GitUtils.getUsername();
-        Logger.info(`配置用户: ${username}`);
-
-        // 验证并保存 Token
-        Logger.info("正在验证 GitHub Token...");
-        await ConfigManager.saveToken(token, username);
-
-        Logger.success("🎉 配置完成！现在可以使用 zhgit push 命令了");
       }, "config操作");
     } catch (error) {
       if (error instanceof ZhgitError) {
@@ -57,6 +77,159 @@ class ConfigCommand extends Command {
       process.exit(1);
     }
   }
+
+  /**
+   * 验证并保存 Token
+   * @param {string} token - Token
+   * @param {Object} opts - 命令选项
+   */
+  async saveToken(token, opts) {
+    // 验证输入
+    if (!token) {
+      throw new ZhgitError("请输入 GitHub Token", ERROR_CODES.INVALID_INPUT);
+    }
+
+    // 站点根据 --platform / --host 或当前仓库的远程地址确定，Token 按登录名保存为账户配置
+    const site = await ConfigManager.resolveSiteOption(opts);
+    Logger.info(`正在验证 ${ConfigManager.getSiteName(site)} Token...`);
+    await ConfigManager.saveToken(token, site);
+
+    Logger.success("🎉 配置完成！现在可以使用 zhgit push 命令了");
+  }
+
+  /**
+   * 验证站点当前使用的账户配置（--profile 指定或站点默认）的 Token
+   * @param {Object} opts - 命令选项
+   */
+  async verifyToken(opts) {
+    const site = await ConfigManager.resolveSiteOption(opts);
+    const profile = ConfigManager.resolveProfile(site);
+    if (!profile) {
+      throw new ZhgitError(
+        `未找到 ${ConfigManager.getSiteName(site)} Token，请先使用 zhgit config <token> 设置`,
+        ERROR_CODES.AUTH_TOKEN_MISSING
+      );
+    }
+
+    const status = await AccountStatus.check(profile);
+    AccountStatus.report(status);
+    if (!status.valid) {
+      throw new ZhgitError(
+        `Token 验证失败: ${status.error}`,
+        ERROR_CODES.AUTH_TOKEN_INVALID
+      );
+    }
+  }
+
+  /**
+   * 确定读写范围，未指定时返回 null
+   * @returns {string|null} global | repo
+   */
+  resolveScope(opts) {
+    if (opts.global && opts.repo) {
+      throw new ZhgitError(
+        "--global 与 --repo 不能同时使用",
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+    if (opts.repo) {
+      return "repo";
+    }
+    return opts.global ? "global" : null;
+  }
+
+  requireKey(key, usage) {
+    if (!key) {
+      throw new ZhgitError(
+        `请指定配置项，用法: zhgit config ${usage}，可选: ${PreferenceSchema.keys.join(
+          ", "
+        )}`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+  }
+
+  setPreference(key, value, opts) {
+    this.requireKey(key, "set <key> <value>");
+    if (value === undefined) {
+      throw new ZhgitError(
+        `请指定 ${key} 的值，用法: zhgit config set <key> <value>`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    const scope = this.resolveScope(opts) || "global";
+    const saved = ConfigManager.setPreference(key, value, scope);
+    Logger.success(
+      `已设置 ${key} = ${PreferenceSchema.format(saved)} (${
+        SOURCE_NAMES[scope]
+      })`
+    );
+  }
+
+  /**
+   * 输出配置项的值，指定范围时只读取该范围，否则输出有效值及其来源
+   * 未设置时以非零状态退出，便于脚本判断
+   */
+  getPreference(key, opts) {
+    this.requireKey(key, "get <key>");
+    const scope = this.resolveScope(opts);
+    const { value, source } = scope
+      ? {
+          value: ConfigManager.getScopedPreference(key, scope),
+          source: scope,
+        }
+      : ConfigManager.getPreference(key);
+
+    if (value === undefined) {
+      Logger.warn(`${key} 未设置`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(PreferenceSchema.format(value));
+    Logger.debug(`来源: ${SOURCE_NAMES[source]}`);
+  }
+
+  unsetPreference(key, opts) {
+    this.requireKey(key, "unset <key>");
+    const scope = this.resolveScope(opts) || "global";
+    if (ConfigManager.unsetPreference(key, scope)) {
+      Logger.success(`已删除 ${key} (${SOURCE_NAMES[scope]})`);
+    } else {
+      Logger.warn(`${key} 在${SOURCE_NAMES[scope]}中未设置`);
+    }
+  }
+
+  /**
+   * 列出配置项，指定范围时只列出该范围中设置的项，否则列出全部有效值及其来源
+   */
+  listPreferences(opts) {
+    const scope = this.resolveScope(opts);
+    const entries = scope
+      ? PreferenceSchema.keys
+          .map((key) => ({
+            key,
+            value: ConfigManager.getScopedPreference(key, scope),
+            source: scope,
+          }))
+          .filter(({ value }) => value !== undefined)
+      : ConfigManager.listPreferences();
+
+    if (entries.length === 0) {
+      Logger.warn(`${SOURCE_NAMES[scope]}中没有设置任何配置项`);
+      return;
+    }
+
+    Logger.info(scope ? `⚙️  ${SOURCE_NAMES[scope]}:` : "⚙️  有效配置:");
+    const width = Math.max(...entries.map(({ key }) => key.length));
+    entries.forEach(({ key, value, source }) => {
+      const origin = !scope && source ? `  [${SOURCE_NAMES[source]}]` : "";
+      console.log(
+        `  ${key.padEnd(width)} = ${PreferenceSchema.format(value)}${origin}`
+      );
+    });
+  }
 }
 
 export default function Config(instance) {
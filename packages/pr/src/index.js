@@ -0,0 +1,162 @@
+import Command from "@zhihaoo/command";
+import {
+  ConfigManager,
+  Logger,
+  GitUtils,
+  ErrorHandler,
+  ZhgitError,
+  ERROR_CODES,
+  safeExecute,
+  ChecksWatcher,
+} from "@zhihaoo/utils";
+import ora from "ora";
+
+const spinner = ora({
+  text: "加载中...",
+  prefixText: "【zhgit】",
+});
+
+class PrCommand extends Command {
+  get command() {
+    return "pr <action> [number]";
+  }
+
+  get description() {
+    return "PR 相关操作 (checks: 查看并等待 PR 检查结果)";
+  }
+
+  get options() {
+    return [
+      ["--timeout <seconds>", "等待检查完成的超时时间（秒）"],
+      ["--interval <seconds>", "轮询检查状态的间隔（秒）"],
+    ];
+  }
+
+  async preAction() {
+    try {
+      // 检查是否在 Git 仓库中
+      if (!GitUtils.isGitRepository()) {
+        throw new ZhgitError(
+          "当前目录不是 Git 仓库，请在 Git 仓库中执行此命令",
+          ERROR_CODES.GIT_NOT_REPOSITORY
+        );
+      }
+    } catch (error) {
+      const zhgitError = ErrorHandler.handle(error, "preAction");
+      ErrorHandler.displayError(zhgitError);
+      throw zhgitError;
+    }
+  }
+
+  /**
+   * 初始化当前仓库的托管平台，平台需要支持查询检查状态
+   */
+  async initProvider() {
+    if (!this.provider) {
+      this.provider = await ConfigManager.createProvider();
+    }
+    if (!this.provider.constructor.supports.checks) {
+      throw new ZhgitError(
+        `${this.provider.displayName} 仓库暂不支持 pr 命令`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+  }
+
+  async action([action, number, opts]) {
+    try {
+      await safeExecute(async () => {
+        switch (action) {
+          case "checks":
+            await this.initProvider();
+            await this.checks(number, opts);
+            break;
+          default:
+            throw new ZhgitError(
+              `不支持的操作: ${action}，可选: checks`,
+              ERROR_CODES.INVALID_INPUT
+            );
+        }
+      }, "pr操作");
+    } catch (error) {
+      if (error instanceof ZhgitError) {
+        ErrorHandler.displayError(error);
+      } else {
+        const zhgitError = ErrorHandler.handle(error, "pr操作");
+        ErrorHandler.displayError(zhgitError);
+      }
+      process.exit(1);
+    }
+  }
+
+  /**
+   * 等待 PR 检查完成并输出结果
+   * @param {string} number - PR 编号，不指定时查找当前分支推送的 PR
+   * @param {Object} opts - 命令选项
+   */
+  async checks(number, opts) {
+    const pullRequest = number
+      ? await this.provider.getPullRequest(number)
+      : await this.findCurrentPullRequest();
+
+    Logger.info(`PR #${pullRequest.number}: ${pullRequest.title}`);
+    Logger.info(`🔗 ${pullRequest.html_url}`);
+
+    const { timeout, interval } = ChecksWatcher.resolveOptions(
+      ConfigManager.getEffectivePreferences(),
+      opts
+    );
+
+    spinner.start(`等待检查完成...`);
+    const result = await ChecksWatcher.watch(this.provider, {
+      ref: pullRequest.head.sha,
+      branch: pullRequest.base.ref,
+      timeout,
+      interval,
+      onUpdate: (summary) => {
+        spinner.text = ChecksWatcher.formatProgress(summary);
+      },
+    });
+
+    ChecksWatcher.report(result, spinner);
+  }
+
+  /**
+   * 查找当前分支推送产生的未关闭 PR
+   * 包括以当前分支为 head 的 PR 和 zhgit push 创建的合并分支 PR
+   */
+  async findCurrentPullRequest() {
+    const currentBranch = GitUtils.getCurrentBranch();
+    // 合并分支名经过 generateSafeBranchName 处理，按同样规则生成前缀
+    const mergeBranchPrefix = `${GitUtils.generateSafeBranchName(
+      `${GitUtils.getUsername()}-push-${currentBranch}-to`
+    )}-`;
+
+    const pulls = await this.provider.listOpenPullRequests();
+    const matched = pulls.filter(
+      (pull) =>
+        pull.head.ref === currentBranch ||
+        pull.head.ref.startsWith(mergeBranchPrefix)
+    );
+
+    if (matched.length === 0) {
+      throw new ZhgitError(
+        `没有找到分支 ${currentBranch} 的未关闭 PR，请指定 PR 编号`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+    if (matched.length > 1) {
+      throw new ZhgitError(
+        `分支 ${currentBranch} 有多个未关闭 PR，请指定 PR 编号: ${matched
+          .map((pull) => `#${pull.number} (→ ${pull.base.ref})`)
+          .join(", ")}`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+    return matched[0];
+  }
+}
+
+export default function Pr(instance) {
+  return new PrCommand(instance);
+}
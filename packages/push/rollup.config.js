@@ -20,6 +20,7 @@ export default {
     "path",
     "fs",
     "child_process",
+    "readline",
     "node:http",
     "node:https",
     "node:zlib",
@@ -0,0 +1,84 @@
+import readline from "readline";
+import { ConfigManager, Logger, ZhgitError, ERROR_CODES } from "@zhihaoo/utils";
+
+/**
+ * 交互式提交选择器
+ * 在终端中列出可挑选的提交，按编号选择
+ */
+export default class CommitSelector {
+  /**
+   * 解析编号选择，支持逗号分隔和范围，如 "1,3,5-7"
+   * @param {string} input - 用户输入
+   * @param {number} max - 最大编号
+   * @returns {number[]} 去重后的编号（从 1 开始）
+   */
+  static parseSelection(input, max) {
+    const selected = new Set();
+
+    input
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .forEach((part) => {
+        const match = part.match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) {
+          throw new ZhgitError(
+            `无效的编号: ${part}`,
+            ERROR_CODES.INVALID_INPUT
+          );
+        }
+        const start = parseInt(match[1]);
+        const end = match[2] ? parseInt(match[2]) : start;
+        if (start < 1 || end > max || start > end) {
+          throw new ZhgitError(
+            `编号超出范围: ${part} (1-${max})`,
+            ERROR_CODES.INVALID_INPUT
+          );
+        }
+        for (let i = start; i <= end; i++) {
+          selected.add(i);
+        }
+      });
+
+    return [...selected];
+  }
+
+  /**
+   * 交互式选择提交
+   * @param {Array} commits - 候选提交，最新的在前（GitUtils.getCommitsDiff 的顺序）
+   * @returns {Promise<Array>} 选中的提交，按提交时间从旧到新排列
+   */
+  static async select(commits) {
+    if (commits.length === 0) {
+      throw new ZhgitError("没有可挑选的提交", ERROR_CODES.INVALID_INPUT);
+    }
+
+    Logger.info("\n🍒 可挑选的提交:");
+    const locale = ConfigManager.getLocale();
+    commits.forEach((commit, index) => {
+      const date = commit.date.toLocaleDateString(locale);
+      Logger.info(
+        `  ${String(index + 1).padStart(3)}) ${commit.hash.substring(0, 7)} ${
+          commit.message
+        } (${commit.author}, ${date})`
+      );
+    });
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    const answer = await new Promise((resolve) => {
+      rl.question("\n请输入要挑选的提交编号（如 1,3,5-7）: ", resolve);
+    });
+    rl.close();
+
+    const indexes = this.parseSelection(answer, commits.length);
+    if (indexes.length === 0) {
+      throw new ZhgitError("未选择任何提交", ERROR_CODES.INVALID_INPUT);
+    }
+
+    // 编号越大提交越早，按从旧到新的顺序挑选
+    return indexes.sort((a, b) => b - a).map((index) => commits[index - 1]);
+  }
+}
@@ -10,11 +10,34 @@ import {
   withRetry,
   shouldRetryNetworkError,
   CommitAnalyzer,
+  TargetPolicy,
+  ChecksWatcher,
+  PRTemplate,
 } from "@zhihaoo/utils";
 import ora from "ora";
 import dayjs from "dayjs";
-import { Octokit } from "@octokit/rest";
-import fetch from "node-fetch";
+import PushSession from "./pushSession.js";
+import RollbackManager from "./rollback.js";
+import CommitSelector from "./commitSelector.js";
+
+// 合并目标分支的策略
+const STRATEGIES = ["merge", "rebase", "squash"];
+
+// PR 的合并方式
+const MERGE_METHODS = ["merge", "squash", "rebase"];
+
+/**
+ * 解析逗号分隔的列表参数，可重复指定
+ */
+function collectList(value, previous) {
+  return [
+    ...(Array.isArray(previous) ? previous : []),
+    ...value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean),
+  ];
+}
 
 const spinner = ora({
   text: "加载中...",
@@ -51,11 +74,53 @@ class PushCommand extends Command {
   }
 
   get command() {
-    return "push [branch_name]";
+    return "push [branch_names...]";
   }
 
   get description() {
-    return "推送代码到 branch_name 分支";
+    return "推送代码到 branch_names 分支，可同时指定多个目标分支";
+  }
+
+  get options() {
+    return [
+      ["--continue", "解决合并冲突后继续未完成的推送"],
+      ["--abort", "放弃未完成的推送并切换回原分支"],
+      ["--keep-remote", "推送失败回滚时保留已推送的远程分支"],
+      ["--push-remote <remote>", "推送合并分支的远程仓库，默认为 origin"],
+      [
+        "--base-remote <remote>",
+        "拉取目标分支并创建 PR 的远程仓库，Fork 工作流中为 upstream",
+      ],
+      ["--dry-run", "仅输出推送计划，不执行任何操作"],
+      ["--strategy <strategy>", `合并目标分支的策略 (${STRATEGIES.join("|")})`],
+      [
+        "--pick [shas]",
+        "仅挑选指定提交到目标分支，多个用逗号分隔，不指定时交互选择",
+        collectList,
+      ],
+      ["--draft", "创建草稿 PR"],
+      ["--no-draft", "创建正式 PR（覆盖目标分支的草稿默认值）"],
+      [
+        "--reviewer <users>",
+        "请求评审人，多个用逗号分隔，团队使用 org/team",
+        collectList,
+      ],
+      [
+        "--assignee <users>",
+        "指派人，多个用逗号分隔，@me 表示自己",
+        collectList,
+      ],
+      ["--label <labels>", "添加标签，多个用逗号分隔", collectList],
+      ["--milestone <title>", "关联里程碑（标题或编号）"],
+      ["--no-auto-labels", "不根据提交类型自动添加 type:* 标签"],
+      ["--template <name>", "使用 PULL_REQUEST_TEMPLATE/ 目录中的指定 PR 模板"],
+      ["--watch", "创建 PR 后等待 CI 检查完成，必需检查失败时以非零状态退出"],
+      ["--watch-timeout <seconds>", "等待检查完成的超时时间（秒）"],
+      [
+        "--auto-merge [method]",
+        `检查通过后自动合并 PR (${MERGE_METHODS.join("|")})，合并后删除合并分支`,
+      ],
+    ];
   }
 
   async preAction() {
@@ -67,68 +132,148 @@ class PushCommand extends Command {
           ERROR_CODES.GIT_NOT_REPOSITORY
         );
       }
+    } catch (error) {
+      const zhgitError = ErrorHandler.handle(error, "preAction");
+      ErrorHandler.displayError(zhgitError);
+      throw zhgitError;
+    }
+  }
 
-      // 检查是否有 Token
-      if (!ConfigManager.existedToken()) {
+  /**
+   * 初始化目标仓库的托管平台，Token 按远程仓库所在站点读取
+   */
+  async initProvider() {
+    if (!this.provider) {
+      this.provider = await ConfigManager.createProvider(this.remotes.base);
+      this.headRepository = this.resolveHeadRepository();
+    }
+  }
+
+  /**
+   * 确定推送和拉取使用的远程仓库，命令行优先，其次为偏好设置的 remotes 字段
+   * @param {Object} opts - 命令选项
+   * @returns {Object} { push, base }
+   */
+  resolveRemotes(opts = {}) {
+    const settings = ConfigManager.getRemotes();
+    const remotes = {
+      push: opts.pushRemote || settings.push,
+      base: opts.baseRemote || settings.base,
+    };
+
+    Object.values(remotes).forEach((remote) => {
+      if (!GitUtils.remoteExists(remote)) {
         throw new ZhgitError(
-          "请先设置 GitHub Token: zhgit config <your-token>",
-          ERROR_CODES.AUTH_TOKEN_MISSING
+          `远程仓库 ${remote} 不存在，可选: ${GitUtils.getRemotes().join(", ")}`,
+          ERROR_CODES.INVALID_INPUT
         );
       }
+    });
+    return remotes;
+  }
 
-      // 获取并验证 Token
-      if (!this.token || !this.octokit) {
-        this.token = await ConfigManager.getToken();
-        this.octokit = new Octokit({
-          auth: this.token,
-          request: {
-            fetch: fetch,
-            timeout: 30000, // 30秒超时
-          },
-        });
-      }
-    } catch (error) {
-      const zhgitError = ErrorHandler.handle(error, "preAction");
-      ErrorHandler.displayError(zhgitError);
-      throw zhgitError;
+  /**
+   * Fork 工作流中合并分支所在的仓库，与目标仓库相同时返回 null
+   * @returns {Object|null} { owner, repo }
+   */
+  resolveHeadRepository() {
+    const { push, base } = this.remotes;
+    if (push === base) {
+      return null;
+    }
+
+    const head = ConfigManager.parseRemoteUrl(push);
+    if (
+      head.owner === this.provider.owner &&
+      head.repo === this.provider.repo
+    ) {
+      return null;
+    }
+    if (head.host !== ConfigManager.parseRemoteUrl(base).host) {
+      throw new ZhgitError(
+        `远程仓库 ${push} 与 ${base} 不在同一站点，无法创建跨仓库 PR`,
+        ERROR_CODES.INVALID_INPUT
+      );
     }
+    if (!this.provider.constructor.supports.forks) {
+      throw new ZhgitError(
+        `${this.provider.displayName} 暂不支持从 Fork 创建 PR`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+    return { owner: head.owner, repo: head.repo };
   }
 
   /**
    * 推送代码到目标分支
-   * @param {Array} params - [branch, opts]
+   * @param {Array} params - [branches, opts]
    */
-  async action([branch, opts]) {
+  async action([branches, opts]) {
     try {
       await safeExecute(async () => {
-        // 验证目标分支
-        const validBranch = ["dev", "release", "main"];
-        if (!validBranch.includes(branch)) {
-          throw new ZhgitError(
-            `目标分支仅支持 ${validBranch.join(", ")}`,
-            ERROR_CODES.INVALID_INPUT
-          );
+        if (opts.autoMerge) {
+          this.resolveMergeMethod(opts.autoMerge);
         }
 
-        // 检查工作区状态
-        if (!GitUtils.isWorkingDirectoryClean()) {
-          throw new ZhgitError(
-            "工作区有未提交的更改，请先提交或暂存更改",
-            ERROR_CODES.GIT_DIRTY_WORKING_DIR
-          );
+        if (opts.abort) {
+          await this.abortPush();
+          return;
+        }
+
+        // 继续推送时沿用会话记录的远程仓库
+        this.remotes =
+          (opts.continue && PushSession.load()?.remotes) ||
+          this.resolveRemotes(opts);
+
+        // 未指定目标分支时使用偏好设置中的 push.defaultBase
+        const targets = [...new Set(branches)];
+        if (targets.length === 0) {
+          const { value } = ConfigManager.getPreference("push.defaultBase");
+          if (!value) {
+            throw new ZhgitError(
+              "未指定目标分支，请指定目标分支，或执行 zhgit config set push.defaultBase <branch> 设置默认目标分支",
+              ERROR_CODES.INVALID_INPUT
+            );
+          }
+          targets.push(value);
         }
 
-        // 获取用户信息和当前分支
-        const username = GitUtils.getUsername();
-        const currentBranch = GitUtils.getCurrentBranch();
+        if (opts.dryRun) {
+          for (const branch of targets) {
+            await this.planPush(branch, opts);
+          }
+          return;
+        }
 
-        Logger.info(`当前分支: ${currentBranch}`);
-        Logger.info(`目标分支: ${branch}`);
-        Logger.info(`用户: ${username}`);
+        await this.initProvider();
+        const { supports } = this.provider.constructor;
+        const unsupported = [
+          opts.watch && !supports.checks && "--watch",
+          opts.autoMerge && !supports.merge && "--auto-merge",
+        ].filter(Boolean);
+        if (unsupported.length > 0) {
+          throw new ZhgitError(
+            `${this.provider.displayName} 仓库暂不支持 ${unsupported.join(
+              " 和 "
+            )}`,
+            ERROR_CODES.INVALID_INPUT
+          );
+        }
 
-        const isMergeBranch = currentBranch.includes(`-to-${branch}-`);
+        if (targets.length > 1 && !opts.continue) {
+          await this.pushToMultipleTargets(targets, opts);
+          return;
+        }
 
-        await this.processPush(branch, username, currentBranch, isMergeBranch);
+        const pullRequest = opts.continue
+          ? await this.continuePush(opts)
+          : await this.startPush(targets[0], opts);
+        if (opts.watch && pullRequest) {
+          await this.watchChecks(pullRequest, opts);
+        }
+        if (opts.autoMerge && pullRequest) {
+          await this.autoMergePullRequest(pullRequest, opts);
+        }
       }, "push操作");
     } catch (error) {
       if (error instanceof ZhgitError) {
@@ -142,56 +287,703 @@ class PushCommand extends Command {
   }
 
   /**
-   * 处理推送逻辑
+   * 检查是否可以开始新的推送
    */
-  async processPush(branch, username, currentBranch, isMergeBranch) {
-    let newBranch = currentBranch;
+  checkReadyToPush() {
+    // 存在未完成的推送时不允许开始新的推送
+    const pending = PushSession.load();
+    if (pending) {
+      throw new ZhgitError(
+        `存在未完成的推送 (${pending.originalBranch} → ${pending.target})，请执行 ${
+          pending.rolledBack
+            ? "zhgit push --abort"
+            : "zhgit push --continue 或 zhgit push --abort"
+        }`,
+        ERROR_CODES.INVALID_INPUT,
+        { session: pending }
+      );
+    }
 
-    if (!isMergeBranch) {
-      // 生成新分支名
-      spinner.start(`生成新分支名...`);
-      const timestamp = dayjs().format("YYYYMMDDHHmmss");
-      newBranch = GitUtils.generateSafeBranchName(
-        `${username}-push-${currentBranch}-to-${branch}`,
-        timestamp
+    // 检查工作区状态
+    if (!GitUtils.isWorkingDirectoryClean()) {
+      throw new ZhgitError(
+        "工作区有未提交的更改，请先提交或暂存更改",
+        ERROR_CODES.GIT_DIRTY_WORKING_DIR
       );
+    }
+  }
 
-      // 检查分支名冲突
-      if (GitUtils.branchExists(newBranch)) {
+  /**
+   * 依次推送到多个目标分支，单个目标失败或冲突时继续处理后续目标
+   */
+  async pushToMultipleTargets(branches, opts) {
+    // 先验证全部目标分支，避免推送到一半才发现不允许的目标
+    const targets = branches.map((branch) => ({
+      branch,
+      target: TargetPolicy.resolve(branch),
+    }));
+    this.checkReadyToPush();
+
+    const originalBranch = GitUtils.getCurrentBranch();
+    const results = [];
+    for (const { branch, target } of targets) {
+      Logger.info(`\n━━━━━━━━━━ ${branch} ━━━━━━━━━━`);
+
+      // 上一个目标回滚或放弃失败时保留了推送会话，需先清理
+      const pending = PushSession.load();
+      if (pending) {
+        results.push({
+          branch,
+          success: false,
+          reason: `已跳过，${pending.target} 的推送未清理，请先执行 zhgit push --abort`,
+        });
+        continue;
+      }
+
+      try {
+        // 每个目标都从原分支开始，上一个目标失败时可能停留在合并分支
+        if (GitUtils.getCurrentBranch() !== originalBranch) {
+          GitUtils.checkoutBranch(originalBranch);
+        }
+        const pullRequest = await this.pushToTarget(branch, target, opts);
+        results.push({
+          branch,
+          success: true,
+          url: pullRequest?.html_url,
+          pullRequest,
+        });
+      } catch (error) {
+        let reason = error.message;
+        if (error.code === ERROR_CODES.GIT_MERGE_CONFLICT) {
+          // 放弃该目标的合并，继续处理后续目标
+          const files = error.details?.files || [];
+          try {
+            await this.abortPush();
+            reason = `合并冲突 (${files.join(", ")})，请单独执行 zhgit push ${branch}`;
+          } catch (abortError) {
+            if (spinner.isSpinning) {
+              spinner.fail();
+            }
+            reason = `合并冲突 (${files.join(", ")})，且放弃推送失败: ${abortError.message}`;
+          }
+        }
+        results.push({ branch, success: false, reason });
+      }
+    }
+
+    this.printPushResults(results);
+
+    // 全部推送完成后依次等待各 PR 的检查并自动合并
+    if (opts.watch || opts.autoMerge) {
+      for (const result of results) {
+        if (!result.pullRequest) {
+          continue;
+        }
+        Logger.info(`\n━━━━━━━━━━ ${result.branch} 检查 ━━━━━━━━━━`);
+        try {
+          if (opts.watch) {
+            await this.watchChecks(result.pullRequest, opts);
+          }
+          if (opts.autoMerge) {
+            await this.autoMergePullRequest(result.pullRequest, opts);
+          }
+        } catch (error) {
+          Object.assign(result, { success: false, reason: error.message });
+        }
+      }
+    }
+
+    const failed = results.filter((result) => !result.success);
+    if (failed.length > 0) {
+      throw new ZhgitError(
+        `${failed.length} 个目标分支推送失败: ${failed
+          .map((result) => result.branch)
+          .join(", ")}`,
+        ERROR_CODES.GIT_PUSH_FAILED,
+        { results }
+      );
+    }
+  }
+
+  /**
+   * 输出多目标推送结果表
+   */
+  printPushResults(results) {
+    const width = Math.max(...results.map((result) => result.branch.length));
+
+    Logger.info("\n📋 推送结果:");
+    results.forEach(({ branch, success, url, reason }) => {
+      const name = branch.padEnd(width);
+      if (success) {
+        Logger.success(`${name}  ${url || "-"}`);
+      } else {
+        Logger.error(`${name}  ${reason}`);
+      }
+    });
+  }
+
+  /**
+   * 开始新的推送
+   */
+  async startPush(branch, opts) {
+    // 验证目标分支
+    const target = TargetPolicy.resolve(branch);
+    this.checkReadyToPush();
+
+    return await this.pushToTarget(branch, target, opts);
+  }
+
+  /**
+   * 创建推送会话并执行推送到单个目标分支
+   * @returns {Object} 创建或更新的 PR
+   */
+  async pushToTarget(branch, target, opts) {
+    // 获取用户信息和当前分支
+    const username = GitUtils.getUsername();
+    const currentBranch = GitUtils.getCurrentBranch();
+
+    Logger.info(`当前分支: ${currentBranch}`);
+    Logger.info(
+      target.pattern === branch
+        ? `目标分支: ${branch}`
+        : `目标分支: ${branch} (匹配 ${target.pattern})`
+    );
+    Logger.info(`用户: ${username}`);
+
+    const isMergeBranch = currentBranch.includes(`-to-${branch}-`);
+    const strategy = this.resolveStrategy(target.settings, opts);
+    const prOptions = this.resolvePROptions(target.settings, opts);
+    // 提前验证 PR 模板，避免推送后才发现模板不存在或有语法错误
+    this.loadDescriptionOptions(prOptions);
+
+    let session;
+    if (isMergeBranch) {
+      // 已在合并分支上，跳过创建和合并步骤
+      this.rejectMergeOptions(currentBranch, opts);
+      session = PushSession.create({
+        originalBranch: currentBranch,
+        tempBranch: currentBranch,
+        target: branch,
+        username,
+        strategy,
+        prOptions,
+        remotes: this.remotes,
+        completedSteps: ["fetch", "createBranch", "merge"],
+      });
+    } else {
+      const newBranch = this.generateTempBranchName(
+        username,
+        currentBranch,
+        branch
+      );
+      Logger.info(`合并策略: ${strategy}`);
+      const picks =
+        strategy === "pick"
+          ? await this.resolvePicks(currentBranch, branch, opts.pick)
+          : [];
+      session = PushSession.create({
+        originalBranch: currentBranch,
+        tempBranch: newBranch,
+        target: branch,
+        username,
+        strategy,
+        prOptions,
+        remotes: this.remotes,
+      });
+      if (picks.length > 0) {
+        session.picks = picks;
+        PushSession.save(session);
+      }
+    }
+
+    return await this.processPush(session, opts);
+  }
+
+  /**
+   * 已在合并分支上时不会重新合并，拒绝显式指定的合并策略和挑选提交
+   * @param {string} currentBranch - 当前的合并分支
+   * @param {Object} opts - 命令选项
+   */
+  rejectMergeOptions(currentBranch, opts) {
+    const options = [
+      opts.strategy && "--strategy",
+      opts.pick && "--pick",
+    ].filter(Boolean);
+    if (options.length > 0) {
+      throw new ZhgitError(
+        `已在合并分支 ${currentBranch} 上，将跳过合并步骤，${options.join(
+          " 和 "
+        )} 不会生效，请切换回原分支后重新推送`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+  }
+
+  /**
+   * 输出推送计划，不修改仓库和远程
+   */
+  async planPush(branch, opts) {
+    const target = TargetPolicy.resolve(branch);
+    const username = GitUtils.getUsername();
+    const currentBranch = GitUtils.getCurrentBranch();
+    const remoteTarget = `${this.remotes.base}/${branch}`;
+
+    Logger.info("📝 推送计划 (dry-run，不会执行任何操作)\n");
+    Logger.info(`当前分支: ${currentBranch}`);
+    Logger.info(
+      target.pattern === branch
+        ? `目标分支: ${branch}`
+        : `目标分支: ${branch} (匹配 ${target.pattern})`
+    );
+    if (Object.keys(target.settings).length > 0) {
+      Logger.info(`目标配置: ${JSON.stringify(target.settings)}`);
+    }
+    if (this.remotes.push !== this.remotes.base) {
+      Logger.info(
+        `远程仓库: 从 ${this.remotes.base} 拉取，推送到 ${this.remotes.push}`
+      );
+    }
+
+    const pending = PushSession.load();
+    if (pending) {
+      Logger.warn(
+        `⚠️  存在未完成的推送 (${pending.originalBranch} → ${pending.target})，实际推送前需要 --continue 或 --abort`
+      );
+    }
+    if (!GitUtils.isWorkingDirectoryClean()) {
+      Logger.warn("⚠️  工作区有未提交的更改，实际推送前需要先提交或暂存");
+    }
+
+    // 合并分支名
+    const isMergeBranch = currentBranch.includes(`-to-${branch}-`);
+    const tempBranch = isMergeBranch
+      ? currentBranch
+      : this.generateTempBranchName(username, currentBranch, branch);
+    if (isMergeBranch) {
+      this.rejectMergeOptions(currentBranch, opts);
+      Logger.info(`已在合并分支上，将跳过创建和合并步骤: ${tempBranch}`);
+    }
+
+    // 模拟合并
+    if (!GitUtils.branchExists(branch, true, this.remotes.base)) {
+      Logger.warn(
+        `⚠️  本地没有 ${remoteTarget}，无法模拟合并，请先执行 git fetch ${this.remotes.base} ${branch}`
+      );
+      return;
+    }
+
+    const strategy = this.resolveStrategy(target.settings, opts);
+    Logger.info(`合并策略: ${strategy}`);
+    let picks;
+    if (strategy === "pick") {
+      // 交互选择需要等待输入，预览时只列出命令行指定的提交
+      if (Array.isArray(opts.pick)) {
+        picks = await this.resolvePicks(currentBranch, branch, opts.pick);
+        Logger.info(`\n🍒 将挑选 ${picks.length} 个提交到 ${remoteTarget}:`);
+        picks.forEach((commit) => {
+          Logger.info(`   ${commit.hash.substring(0, 7)} ${commit.message}`);
+        });
+      } else {
+        Logger.info("\n🍒 实际推送时将交互选择要挑选的提交");
+      }
+      Logger.info("挑选提交会逐个应用，dry-run 不模拟冲突");
+    } else {
+      Logger.info(
+        `\n🔀 模拟合并 ${remoteTarget} (基于本地远程分支记录，未执行 fetch)`
+      );
+      if (strategy === "rebase") {
+        Logger.info("变基会逐个应用提交，实际冲突情况可能与模拟合并不同");
+      }
+      const merge = GitUtils.simulateMerge("HEAD", remoteTarget);
+      if (merge.clean) {
+        Logger.success("可以无冲突合并");
+      } else {
+        Logger.warn(`合并将产生冲突 (${merge.conflicts.length} 个文件):`);
+        merge.conflicts.forEach((file) => Logger.warn(`   ${file}`));
+      }
+    }
+
+    // 提交分析，与创建 PR 时的参数相同；合并分支尚未创建，从 HEAD 读取提交
+    const commitAnalysis = await CommitAnalyzer.analyzeCommits(
+      tempBranch,
+      remoteTarget,
+      currentBranch,
+      "HEAD"
+    );
+    Logger.info(`\n📊 提交分类: ${commitAnalysis.summary}`);
+    [
+      ["本次提交", commitAnalysis.currentCommits],
+      ["历史提交", commitAnalysis.previousCommits],
+    ].forEach(([title, commits]) => {
+      if (commits.length === 0) {
+        return;
+      }
+      Logger.info(`${title}:`);
+      commits.forEach((commit) => {
+        Logger.info(`   ${commit.hash.substring(0, 7)} ${commit.message}`);
+      });
+    });
+    const typeStats = CommitAnalyzer.analyzeCommitTypes([
+      ...commitAnalysis.currentCommits,
+      ...commitAnalysis.previousCommits,
+    ]);
+    const typeSummary = Object.entries(typeStats)
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => `${type}: ${count}`)
+      .join(", ");
+    if (typeSummary) {
+      Logger.info(`类型统计: ${typeSummary}`);
+    }
+
+    // PR 预览
+    const prOptions = this.resolvePROptions(target.settings, opts);
+    const descriptionOptions = this.loadDescriptionOptions(prOptions, {
+      headRef: "HEAD",
+      originalBranch: currentBranch,
+      pickedCommits: picks,
+    });
+    if (descriptionOptions.customTemplatePath) {
+      Logger.info(`\n📝 PR 模板: ${descriptionOptions.customTemplatePath}`);
+    }
+    const prTitle = this.generatePRTitle(
+      tempBranch,
+      branch,
+      commitAnalysis,
+      descriptionOptions
+    );
+    const prBody = CommitAnalyzer.generatePRDescription(
+      commitAnalysis,
+      tempBranch,
+      branch,
+      descriptionOptions
+    );
+    Logger.info(`\n📋 PR 标题: ${prTitle}`);
+    const labels = [
+      ...new Set([
+        ...prOptions.labels,
+        ...(prOptions.autoLabels
+          ? this.generateTypeLabels(commitAnalysis)
+          : []),
+      ]),
+    ];
+    Logger.info(`📝 草稿: ${prOptions.draft ? "是" : "否"}`);
+    [
+      ["👀 评审人", prOptions.reviewers],
+      ["🙋 指派人", prOptions.assignees],
+      ["🏷️  标签", labels],
+    ].forEach(([title, values]) => {
+      if (values.length > 0) {
+        Logger.info(`${title}: ${values.join(", ")}`);
+      }
+    });
+    if (prOptions.milestone) {
+      Logger.info(`🎯 里程碑: ${prOptions.milestone}`);
+    }
+
+    Logger.info("📄 PR 描述:");
+    Logger.info(prBody);
+  }
+
+  /**
+   * 解决冲突后继续推送
+   */
+  async continuePush(opts) {
+    const session = this.loadPendingSession();
+    if (session.rolledBack) {
+      throw new ZhgitError(
+        `推送 ${session.originalBranch} → ${session.target} 失败后已部分回滚，无法继续，请执行 zhgit push --abort 清理`,
+        ERROR_CODES.INVALID_INPUT,
+        { session }
+      );
+    }
+
+    Logger.info(`继续推送: ${session.originalBranch} → ${session.target}`);
+    Logger.info(`合并分支: ${session.tempBranch}`);
+
+    // 变基过程中 HEAD 处于分离状态，无法取得分支名
+    const currentBranch = GitUtils.isRebaseInProgress()
+      ? session.tempBranch
+      : GitUtils.getCurrentBranch();
+    if (currentBranch !== session.tempBranch) {
+      throw new ZhgitError(
+        `当前分支为 ${currentBranch}，请先切换到合并分支 ${session.tempBranch} 后继续`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    if (!PushSession.isCompleted(session, "merge")) {
+      if (GitUtils.hasConflicts()) {
         throw new ZhgitError(
-          `分支 ${newBranch} 已存在，请稍后重试`,
-          ERROR_CODES.GIT_BRANCH_EXISTS
+          "仍有未解决的冲突，请解决后执行 git add 再继续",
+          ERROR_CODES.GIT_MERGE_CONFLICT,
+          { files: GitUtils.getConflictedFiles() }
         );
       }
-      spinner.succeed(`新分支名: ${newBranch}`);
 
-      // 创建并切换到新分支
-      await this.createAndSwitchBranch(newBranch);
+      await this.finishIntegration(session);
+    }
+
+    if (!GitUtils.isWorkingDirectoryClean()) {
+      throw new ZhgitError(
+        "工作区有未提交的更改，请先提交或暂存更改",
+        ERROR_CODES.GIT_DIRTY_WORKING_DIR
+      );
+    }
+
+    return await this.processPush(session, opts);
+  }
+
+  /**
+   * 冲突解决后完成合并、变基或压缩提交
+   * @param {Object} session - 推送会话
+   */
+  async finishIntegration(session) {
+    const strategy = session.strategy || "merge";
+    const remoteTarget = `${this.remotes.base}/${session.target}`;
+
+    await safeExecute(async () => {
+      spinner.start(`提交冲突解决结果...`);
+      if (strategy === "rebase") {
+        if (GitUtils.isRebaseInProgress()) {
+          GitUtils.continueRebase();
+        }
+      } else if (strategy === "pick") {
+        if (GitUtils.isCherryPickInProgress()) {
+          GitUtils.continueCherryPick();
+        }
+      } else if (strategy === "squash") {
+        if (GitUtils.hasStagedChanges()) {
+          GitUtils.commit(session.squashMessage);
+        }
+      } else if (GitUtils.isMergeInProgress()) {
+        // 用户未手动提交时自动完成合并提交
+        GitUtils.commitMerge();
+      }
+      spinner.succeed(`冲突解决结果已提交`);
+    }, "提交冲突解决结果");
+
+    // 压缩合并和挑选提交的分支基于目标分支创建，需有新提交才算完成
+    let integrated;
+    if (strategy === "pick") {
+      integrated =
+        !GitUtils.isCherryPickInProgress() &&
+        GitUtils.getCommitHash() !== GitUtils.getCommitHash(remoteTarget);
+    } else if (strategy === "squash") {
+      integrated =
+        GitUtils.getCommitHash() !== GitUtils.getCommitHash(remoteTarget);
+    } else {
+      integrated = GitUtils.isAncestor(remoteTarget);
+    }
+    if (integrated) {
+      PushSession.completeStep(session, "merge");
+    }
+  }
+
+  /**
+   * 放弃未完成的推送，恢复到原分支
+   */
+  async abortPush() {
+    const session = this.loadPendingSession();
+    const { originalBranch, tempBranch } = session;
+
+    await safeExecute(async () => {
+      spinner.start(`放弃推送 ${originalBranch} → ${session.target}...`);
+
+      GitUtils.abortInProgressOperation(
+        tempBranch !== originalBranch ? tempBranch : null
+      );
+
+      if (GitUtils.getCurrentBranch() !== originalBranch) {
+        GitUtils.checkoutBranch(originalBranch);
+      }
+
+      if (tempBranch !== originalBranch && GitUtils.branchExists(tempBranch)) {
+        GitUtils.deleteBranch(tempBranch, true);
+      }
+
+      PushSession.clear();
+      spinner.succeed(`已放弃推送，当前分支: ${originalBranch}`);
+    }, "放弃推送");
+  }
+
+  /**
+   * 读取未完成的推送会话
+   */
+  loadPendingSession() {
+    const session = PushSession.load();
+    if (!session) {
+      throw new ZhgitError("没有未完成的推送", ERROR_CODES.INVALID_INPUT);
+    }
+    return session;
+  }
 
+  /**
+   * 生成合并分支名
+   */
+  generateTempBranchName(username, currentBranch, branch) {
+    spinner.start(`生成新分支名...`);
+    const timestamp = dayjs().format("YYYYMMDDHHmmss");
+    const newBranch = GitUtils.generateSafeBranchName(
+      `${username}-push-${currentBranch}-to-${branch}`,
+      timestamp
+    );
+
+    // 检查分支名冲突
+    if (GitUtils.branchExists(newBranch)) {
+      spinner.fail(`分支 ${newBranch} 已存在`);
+      throw new ZhgitError(
+        `分支 ${newBranch} 已存在，请稍后重试`,
+        ERROR_CODES.GIT_BRANCH_EXISTS
+      );
+    }
+    spinner.succeed(`新分支名: ${newBranch}`);
+    return newBranch;
+  }
+
+  /**
+   * 处理推送逻辑，依次执行会话中未完成的步骤
+   * 失败时自动回滚已完成的步骤（合并冲突除外，保留现场以便继续）
+   * @param {Object} session - 推送会话
+   * @param {Object} opts - 命令选项
+   * @returns {Object|null} 创建或更新的 PR
+   */
+  async processPush(session, opts = {}) {
+    const { originalBranch, tempBranch, target, prOptions } = session;
+    const strategy = session.strategy || "merge";
+
+    const steps = [
       // 拉取目标分支最新代码
-      await this.fetchTargetBranch(branch);
+      ["fetch", () => this.fetchTargetBranch(target)],
+      // 创建并切换到新分支，压缩合并和挑选提交时基于目标分支创建
+      [
+        "createBranch",
+        () =>
+          this.createAndSwitchBranch(
+            tempBranch,
+            ["squash", "pick"].includes(strategy)
+              ? `${this.remotes.base}/${target}`
+              : null
+          ),
+      ],
+      // 按策略合并目标分支
+      ["merge", () => this.integrateTargetBranch(session)],
+      // 推送分支
+      ["push", () => this.pushBranch(tempBranch)],
+      // 创建 PR
+      [
+        "pullRequest",
+        () =>
+          this.createPullRequest(
+            tempBranch,
+            target,
+            originalBranch,
+            prOptions,
+            {
+              pickedCommits: session.picks,
+              // 压缩合并后合并分支只有一个提交，与压缩提交信息一样按原分支分析
+              analysisBranch:
+                strategy === "squash" ? originalBranch : tempBranch,
+            }
+          ),
+      ],
+      // 切换回原分支
+      ["switchBack", () => this.switchBackToOriginalBranch(originalBranch)],
+    ];
+
+    // 继续推送时，为之前已完成的步骤补登记补偿操作
+    const rollback = new RollbackManager();
+    session.completedSteps.forEach((step) => {
+      this.registerRollback(rollback, session, step, opts, true);
+    });
 
-      // 合并目标分支
-      await this.mergeTargetBranch(branch, newBranch);
+    let pullRequest = null;
+    try {
+      for (const [step, run] of steps) {
+        if (PushSession.isCompleted(session, step)) {
+          continue;
+        }
+        const result = await run();
+        if (step === "pullRequest") {
+          pullRequest = result;
+        }
+        PushSession.completeStep(session, step);
+        this.registerRollback(rollback, session, step, opts, false);
+      }
+    } catch (error) {
+      if (spinner.isSpinning) {
+        spinner.fail();
+      }
+
+      // 合并冲突保留现场，等待 --continue 或 --abort
+      if (error.code === ERROR_CODES.GIT_MERGE_CONFLICT) {
+        throw error;
+      }
+
+      Logger.warn("推送失败，正在回滚...");
+      const result = await rollback.rollback();
+      RollbackManager.printSummary(result);
+      // 有回滚操作执行失败时保留会话，便于 --abort 继续清理
+      // 已完成的步骤可能已被部分撤销（如远程分支已删除），之后只允许 --abort
+      if (result.leftInPlace.some((item) => item.failed)) {
+        session.rolledBack = true;
+        PushSession.save(session);
+      } else {
+        PushSession.clear();
+      }
+      throw error;
     }
 
-    // 推送分支
-    await this.pushBranch(newBranch);
+    PushSession.clear();
+    return pullRequest;
+  }
 
-    // 创建 PR
-    await this.createPullRequest(newBranch, branch, currentBranch);
+  /**
+   * 登记步骤对应的补偿操作
+   * @param {RollbackManager} rollback - 回滚管理器
+   * @param {Object} session - 推送会话
+   * @param {string} step - 已完成的步骤
+   * @param {Object} opts - 命令选项
+   * @param {boolean} resumed - 是否为之前运行中完成的步骤
+   */
+  registerRollback(rollback, session, step, opts, resumed) {
+    const { originalBranch, tempBranch } = session;
 
-    // 切换回原分支
-    await this.switchBackToOriginalBranch(currentBranch);
+    switch (step) {
+      case "createBranch":
+        if (tempBranch === originalBranch) {
+          break;
+        }
+        rollback.register(
+          `删除本地合并分支 ${tempBranch}`,
+          () => GitUtils.deleteBranch(tempBranch, true),
+          { enabled: !resumed, reason: "可能包含已解决的冲突" }
+        );
+        rollback.register(`切换回原分支 ${originalBranch}`, () => {
+          GitUtils.abortInProgressOperation(tempBranch);
+          GitUtils.checkoutBranch(originalBranch);
+        });
+        break;
+      case "push":
+        rollback.register(
+          `删除远程分支 ${this.remotes.push}/${tempBranch}`,
+          () => GitUtils.deleteRemoteBranch(tempBranch, this.remotes.push),
+          { enabled: !opts.keepRemote, reason: "使用了 --keep-remote" }
+        );
+        break;
+      case "pullRequest":
+        // PR 已创建，之后的失败不再回滚
+        rollback.commit();
+        break;
+    }
   }
 
   /**
    * 创建并切换到新分支
    */
-  async createAndSwitchBranch(branchName) {
+  async createAndSwitchBranch(branchName, baseBranch = null) {
     return await safeExecute(async () => {
       spinner.start(`创建并切换到新分支...`);
-      GitUtils.createAndCheckoutBranch(branchName);
+      GitUtils.createAndCheckoutBranch(branchName, baseBranch);
       spinner.succeed(`已切换到新分支: ${branchName}`);
     }, "创建分支");
   }
@@ -207,7 +999,7 @@ class PushCommand extends Command {
     )(async () => {
       return await safeExecute(async () => {
         spinner.start(`正在拉取 ${branch} 分支最新代码...`);
-        GitUtils.fetchBranch(branch);
+        GitUtils.fetchBranch(branch, this.remotes.base);
         spinner.succeed("拉取成功");
       }, "拉取远程分支");
     });
@@ -215,23 +1007,71 @@ class PushCommand extends Command {
   }
 
   /**
-   * 合并目标分支
+   * 按会话中的策略合并目标分支
+   * merge: 合并 <base>/<target>；rebase: 将提交变基到 <base>/<target> 之上；
+   * squash: 将原分支的改动压缩为一个提交，提交信息由提交分析生成；
+   * pick: 将挑选的提交按顺序应用到 <base>/<target> 之上
+   * <base> 为拉取目标分支的远程仓库，默认为 origin
    */
-  async mergeTargetBranch(branch, newBranch) {
+  async integrateTargetBranch(session) {
+    const { target, tempBranch, originalBranch } = session;
+    const strategy = session.strategy || "merge";
+    const remoteTarget = `${this.remotes.base}/${target}`;
+
     return await safeExecute(async () => {
-      spinner.start(`正在合并 ${branch} 代码...`);
-      GitUtils.mergeBranch(`origin/${branch}`);
+      if (strategy === "rebase") {
+        spinner.start(`正在变基到 ${target}...`);
+        GitUtils.rebaseBranch(remoteTarget);
+        spinner.succeed(`变基成功`);
+        return;
+      }
+
+      if (strategy === "pick") {
+        spinner.start(`正在挑选 ${session.picks.length} 个提交到 ${target}...`);
+        GitUtils.cherryPick(session.picks.map((commit) => commit.hash));
+        spinner.succeed(`挑选提交成功`);
+        return;
+      }
+
+      if (strategy === "squash") {
+        spinner.start(`正在压缩合并到 ${target}...`);
+        const commitAnalysis = await CommitAnalyzer.analyzeCommits(
+          originalBranch,
+          remoteTarget,
+          originalBranch
+        );
+        // 先保存提交信息，冲突解决后继续时使用
+        session.squashMessage = CommitAnalyzer.generateSquashMessage(
+          commitAnalysis,
+          originalBranch,
+          target
+        );
+        PushSession.save(session);
+
+        GitUtils.squashMerge(originalBranch);
+        if (!GitUtils.hasStagedChanges()) {
+          throw new ZhgitError(
+            `${originalBranch} 相对 ${target} 没有需要合并的改动`,
+            ERROR_CODES.INVALID_INPUT
+          );
+        }
+        GitUtils.commit(session.squashMessage);
+        spinner.succeed(`压缩合并成功 (${commitAnalysis.totalCommits} 个提交)`);
+        return;
+      }
+
+      spinner.start(`正在合并 ${target} 代码...`);
+      GitUtils.mergeBranch(remoteTarget);
       spinner.succeed(`合并成功`);
     }, "合并分支").catch((error) => {
       spinner.fail(`合并失败`);
 
       if (error.code === ERROR_CODES.GIT_MERGE_CONFLICT) {
-        Logger.info("🔧 合并冲突解决指南:");
-        Logger.info("1. 手动解决冲突文件中的冲突标记");
-        Logger.info("2. git add .");
-        Logger.info('3. git commit -m "resolve conflicts"');
-        Logger.info(`4. zhgit push ${branch} (重新执行推送)`);
-        process.exit(1);
+        Logger.info("🔧 冲突文件:");
+        (error.details.files || []).forEach((file) => {
+          Logger.info(`   ${file}`);
+        });
+        Logger.info(`推送进度已保存，合并分支: ${tempBranch}`);
       }
 
       throw error;
@@ -248,8 +1088,8 @@ class PushCommand extends Command {
       shouldRetryNetworkError
     )(async () => {
       return await safeExecute(async () => {
-        spinner.start(`正在推送到 GitHub...`);
-        GitUtils.pushBranch(branchName, true);
+        spinner.start(`正在推送到 ${this.provider.displayName}...`);
+        GitUtils.pushBranch(branchName, true, this.remotes.push);
         spinner.succeed(`推送完成`);
       }, "推送分支");
     });
@@ -269,49 +1109,92 @@ class PushCommand extends Command {
 
   /**
    * 创建 Pull Request，包含智能提交分析
+   * descriptionOptions.analysisBranch 指定分析提交的分支，默认为源分支
    */
-  async createPullRequest(sourceBranch, targetBranch, originalBranch) {
+  async createPullRequest(
+    sourceBranch,
+    targetBranch,
+    originalBranch,
+    prOptions = this.resolvePROptions(),
+    descriptionOptions = {}
+  ) {
     return await safeExecute(async () => {
       spinner.start(`正在创建 PR...`);
 
-      // 获取仓库信息
-      const { owner, repo } = GitUtils.parseRemoteUrl();
-
-      // 分析提交历史
+      // 分析提交历史，与拉取的远程目标分支比较，本地目标分支可能不存在或已过期
+      const { analysisBranch = sourceBranch, ...extraOptions } =
+        descriptionOptions;
       const commitAnalysis = await CommitAnalyzer.analyzeCommits(
-        sourceBranch,
-        targetBranch,
+        analysisBranch,
+        `${this.remotes.base}/${targetBranch}`,
         originalBranch
       );
 
-      // 生成 PR 描述
+      // 生成 PR 描述，有自定义模板时由模板生成，仓库有 PR 模板时填入模板
+      const templateOptions = this.loadDescriptionOptions(prOptions, {
+        originalBranch,
+        ...extraOptions,
+      });
       const prBody = CommitAnalyzer.generatePRDescription(
         commitAnalysis,
         sourceBranch,
-        targetBranch
+        targetBranch,
+        templateOptions
       );
 
       // 生成 PR 标题
       const prTitle = this.generatePRTitle(
         sourceBranch,
         targetBranch,
-        commitAnalysis
+        commitAnalysis,
+        templateOptions
       );
 
-      // 创建 PR
-      const { data: pullRequest } = await this.octokit.pulls.create({
-        owner,
-        repo,
+      // 配置的标签与根据提交类型生成的标签
+      const labels = [
+        ...new Set([
+          ...prOptions.labels,
+          ...(prOptions.autoLabels
+            ? this.generateTypeLabels(commitAnalysis)
+            : []),
+        ]),
+      ];
+      const { existingPR, pullRequest, metadata } = await this.savePullRequest({
+        sourceBranch,
+        targetBranch,
         title: prTitle,
         body: prBody,
-        head: sourceBranch,
-        base: targetBranch,
+        prOptions: { ...prOptions, labels },
       });
 
-      spinner.succeed(`PR 创建成功`);
-      Logger.success(`\n🎉 PR 创建成功!`);
+      if (existingPR) {
+        spinner.succeed(`PR 已存在，已更新标题和描述`);
+        Logger.success(`\n🔄 已更新 PR #${pullRequest.number}`);
+      } else {
+        spinner.succeed(`PR 创建成功`);
+        Logger.success(`\n🎉 PR 创建成功!`);
+      }
       Logger.success(`📋 标题: ${prTitle}`);
       Logger.success(`🔗 链接: ${pullRequest.html_url}`);
+      if (this.headRepository) {
+        const { owner, repo } = this.headRepository;
+        Logger.success(`🍴 来自 Fork: ${owner}/${repo}`);
+      }
+      if (pullRequest.draft) {
+        Logger.success(`📝 草稿 PR`);
+      }
+      if (metadata.reviewers.length > 0) {
+        Logger.success(`👀 评审人: ${metadata.reviewers.join(", ")}`);
+      }
+      if (metadata.assignees.length > 0) {
+        Logger.success(`🙋 指派人: ${metadata.assignees.join(", ")}`);
+      }
+      if (metadata.labels.length > 0) {
+        Logger.success(`🏷️  标签: ${metadata.labels.join(", ")}`);
+      }
+      if (metadata.milestone) {
+        Logger.success(`🎯 里程碑: ${metadata.milestone}`);
+      }
       Logger.success(`📊 ${commitAnalysis.summary}`);
 
       return pullRequest;
@@ -319,9 +1202,424 @@ class PushCommand extends Command {
   }
 
   /**
-   * 生成 PR 标题
+   * 等待 PR 的 CI 检查完成并输出结果
+   * 必需检查失败或超时时抛出错误
+   * @param {Object} pullRequest - 创建或更新的 PR
+   * @param {Object} opts - 命令选项
+   */
+  async watchChecks(pullRequest, opts = {}) {
+    const { timeout, interval } = ChecksWatcher.resolveOptions(
+      ConfigManager.getEffectivePreferences(),
+      { timeout: opts.watchTimeout }
+    );
+
+    spinner.start(`等待 PR #${pullRequest.number} 的检查完成...`);
+    const result = await ChecksWatcher.watch(this.provider, {
+      ref: pullRequest.head.sha,
+      branch: pullRequest.base.ref,
+      timeout,
+      interval,
+      onUpdate: (summary) => {
+        spinner.text = ChecksWatcher.formatProgress(summary);
+      },
+    });
+
+    ChecksWatcher.report(result, spinner);
+  }
+
+  /**
+   * 自动合并 PR，合并后删除合并分支
+   * 优先开启平台的自动合并并等待合并完成；仓库未启用自动合并或 PR 已可直接合并时，
+   * 等待检查通过后由 zhgit 合并
+   * @param {Object} pullRequest - 创建或更新的 PR
+   * @param {Object} opts - 命令选项
+   */
+  async autoMergePullRequest(pullRequest, opts = {}) {
+    const method = this.resolveMergeMethod(opts.autoMerge);
+    const { timeout, interval } = ChecksWatcher.resolveOptions(
+      ConfigManager.getEffectivePreferences(),
+      { timeout: opts.watchTimeout }
+    );
+
+    let enabled = false;
+    try {
+      spinner.start(`正在为 PR #${pullRequest.number} 开启自动合并...`);
+      await this.provider.enableAutoMerge(pullRequest, method);
+      enabled = true;
+      spinner.succeed(
+        `已开启自动合并 (${method})，检查通过后将由 ${this.provider.displayName} 合并`
+      );
+    } catch (error) {
+      spinner.info(`无法开启平台自动合并，将在检查通过后直接合并`);
+      Logger.debug(`开启自动合并失败: ${error.message}`);
+    }
+
+    if (enabled) {
+      await this.waitForMerge(pullRequest, { timeout, interval });
+    } else {
+      await this.mergeWhenReady(pullRequest, method, {
+        timeout,
+        interval,
+      });
+    }
+
+    await this.cleanupMergedBranch(pullRequest.head.ref);
+  }
+
+  /**
+   * 等待平台完成自动合并
+   * 同时轮询 PR 的检查，必需检查失败时平台不会再合并，立即停止等待
+   */
+  async waitForMerge(pullRequest, { timeout, interval }) {
+    const deadline = Date.now() + timeout * 1000;
+    const required = await this.provider.getRequiredChecks(
+      pullRequest.base.ref
+    );
+    spinner.start(`等待 PR #${pullRequest.number} 合并...`);
+
+    while (true) {
+      const data = await this.provider.getPullRequest(pullRequest.number);
+      if (data.merged) {
+        spinner.succeed(`PR #${pullRequest.number} 已合并`);
+        return data;
+      }
+      if (data.state === "closed") {
+        spinner.fail(`PR #${pullRequest.number} 已关闭`);
+        throw new ZhgitError(
+          `PR #${pullRequest.number} 未合并即被关闭`,
+          ERROR_CODES.PR_MERGE_FAILED
+        );
+      }
+
+      const summary = ChecksWatcher.summarize(
+        await this.provider.getChecks(pullRequest.head.sha),
+        required
+      );
+      if (summary.requiredFailed.length > 0) {
+        ChecksWatcher.report({ ...summary, timedOut: false }, spinner);
+      }
+
+      if (Date.now() + interval * 1000 > deadline) {
+        spinner.warn(`等待合并超时`);
+        throw new ZhgitError(
+          `等待 PR #${pullRequest.number} 合并超时，自动合并仍然有效，合并后请手动删除分支 ${pullRequest.head.ref}`,
+          ERROR_CODES.CHECKS_TIMEOUT
+        );
+      }
+      spinner.text =
+        summary.pending.length > 0
+          ? `等待 PR #${pullRequest.number} 合并，${ChecksWatcher.formatProgress(
+              summary
+            )}`
+          : `等待 PR #${pullRequest.number} 合并 (${data.mergeable_state})...`;
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+    }
+  }
+
+  /**
+   * 等待检查通过且 PR 可合并后直接合并
    */
-  generatePRTitle(sourceBranch, targetBranch, commitAnalysis) {
+  async mergeWhenReady(pullRequest, method, { timeout, interval }) {
+    const deadline = Date.now() + timeout * 1000;
+
+    spinner.start(`等待 PR #${pullRequest.number} 的检查完成...`);
+    const result = await ChecksWatcher.watch(this.provider, {
+      ref: pullRequest.head.sha,
+      branch: pullRequest.base.ref,
+      timeout,
+      interval,
+      onUpdate: (summary) => {
+        spinner.text = ChecksWatcher.formatProgress(summary);
+      },
+    });
+    ChecksWatcher.report(result, spinner);
+
+    // 平台异步计算可合并状态，mergeable 为 null 时需要稍后重试
+    spinner.start(`检查 PR #${pullRequest.number} 是否可合并...`);
+    let data;
+    do {
+      data = await this.provider.getPullRequest(pullRequest.number);
+      if (data.mergeable !== null) {
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+    } while (Date.now() < deadline);
+
+    if (!data.mergeable) {
+      spinner.fail(`PR #${pullRequest.number} 无法合并`);
+      throw new ZhgitError(
+        `PR #${pullRequest.number} 无法合并 (${data.mergeable_state})`,
+        ERROR_CODES.PR_MERGE_FAILED,
+        { mergeableState: data.mergeable_state }
+      );
+    }
+
+    try {
+      await this.provider.mergePullRequest(pullRequest.number, method);
+    } catch (error) {
+      spinner.fail(`PR #${pullRequest.number} 合并失败`);
+      throw new ZhgitError(
+        `PR #${pullRequest.number} 合并失败: ${error.message}`,
+        ERROR_CODES.PR_MERGE_FAILED,
+        { originalError: error.message }
+      );
+    }
+    spinner.succeed(`PR #${pullRequest.number} 已合并 (${method})`);
+  }
+
+  /**
+   * 删除已合并的合并分支（本地和远程）
+   * 当前就在该分支上时保留本地分支
+   */
+  async cleanupMergedBranch(branchName) {
+    await safeExecute(async () => {
+      spinner.start(`删除合并分支 ${branchName}...`);
+
+      // 仓库开启了合并后自动删除分支时，远程分支可能已不存在
+      if (GitUtils.remoteBranchExists(branchName, this.remotes.push)) {
+        GitUtils.deleteRemoteBranch(branchName, this.remotes.push);
+      }
+
+      if (GitUtils.getCurrentBranch() === branchName) {
+        spinner.warn(`已删除远程分支，当前位于 ${branchName}，本地分支已保留`);
+        return;
+      }
+      if (GitUtils.branchExists(branchName)) {
+        GitUtils.deleteBranch(branchName, true);
+      }
+      spinner.succeed(`已删除合并分支 ${branchName}`);
+    }, "删除合并分支");
+  }
+
+  /**
+   * 确定 PR 的合并方式，--auto-merge 未指定时为 merge
+   * @returns {string} merge | squash | rebase
+   */
+  resolveMergeMethod(autoMerge) {
+    const method = autoMerge === true ? "merge" : autoMerge;
+    if (!MERGE_METHODS.includes(method)) {
+      throw new ZhgitError(
+        `不支持的合并方式 "${method}"，可选: ${MERGE_METHODS.join(", ")}`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+    return method;
+  }
+
+  /**
+   * 确定合并目标分支的策略，命令行优先，其次为目标分支配置和偏好设置中的 push.strategy
+   * 指定 --pick 时为挑选提交模式
+   * @returns {string} merge | rebase | squash | pick
+   */
+  resolveStrategy(settings = {}, opts = {}) {
+    if (opts.pick) {
+      if (opts.strategy) {
+        throw new ZhgitError(
+          "--pick 不能与 --strategy 同时使用",
+          ERROR_CODES.INVALID_INPUT
+        );
+      }
+      return "pick";
+    }
+
+    const strategy = opts.strategy || settings.strategy || "merge";
+    if (!STRATEGIES.includes(strategy)) {
+      throw new ZhgitError(
+        `不支持的合并策略 "${strategy}"，可选: ${STRATEGIES.join(", ")}`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+    return strategy;
+  }
+
+  /**
+   * 确定要挑选的提交，多个目标分支共用同一次选择
+   * @param {string} currentBranch - 当前分支
+   * @param {string} target - 目标分支
+   * @param {string[]|true} pick - 命令行指定的提交，true 表示交互选择
+   * @returns {Array} 挑选的提交 [{ hash, message }]，按应用顺序
+   */
+  async resolvePicks(currentBranch, target, pick) {
+    if (this.picks) {
+      return this.picks;
+    }
+
+    let commits;
+    if (Array.isArray(pick)) {
+      commits = pick.map((ref) => {
+        const hash = GitUtils.resolveCommit(ref);
+        if (!hash) {
+          throw new ZhgitError(`找不到提交: ${ref}`, ERROR_CODES.INVALID_INPUT);
+        }
+        // 挑选合并提交需要指定父提交，结果通常不是期望的改动，不支持
+        if (GitUtils.isMergeCommit(hash)) {
+          throw new ZhgitError(
+            `${ref} 是合并提交，无法挑选，请指定其中的具体提交`,
+            ERROR_CODES.INVALID_INPUT
+          );
+        }
+        return GitUtils.getCommit(hash);
+      });
+    } else {
+      // 列出当前分支相对目标分支的提交供选择，合并提交无法挑选，不列出
+      await this.fetchTargetBranch(target);
+      commits = await CommitSelector.select(
+        GitUtils.getCommitsDiff(
+          `${this.remotes.base}/${target}`,
+          currentBranch
+        ).filter((commit) => !GitUtils.isMergeCommit(commit.hash))
+      );
+    }
+
+    this.picks = commits.map(({ hash, message }) => ({ hash, message }));
+    return this.picks;
+  }
+
+  /**
+   * 合并目标分支默认配置与命令行选项，得到 PR 元数据选项
+   * 列表类选项取并集，草稿和里程碑以命令行为准
+   * @param {Object} settings - 目标分支配置
+   * @param {Object} opts - 命令选项
+   * @returns {Object} { draft, reviewers, assignees, labels, milestone, autoLabels, template,
+   *   removeSourceBranch }
+   */
+  resolvePROptions(settings = {}, opts = {}) {
+    const mergeList = (settingKey, optionKey) => [
+      ...new Set([...(settings[settingKey] || []), ...(opts[optionKey] || [])]),
+    ];
+
+    return {
+      draft: opts.draft ?? !!settings.draft,
+      reviewers: mergeList("reviewers", "reviewer"),
+      assignees: mergeList("assignees", "assignee"),
+      labels: mergeList("labels", "label"),
+      milestone: opts.milestone || settings.milestone || null,
+      autoLabels: opts.autoLabels !== false && settings.autoLabels !== false,
+      template: opts.template || settings.template || null,
+      // 合并后删除源分支，平台不支持时忽略（GitHub 由仓库设置决定）
+      removeSourceBranch: settings.removeSourceBranch !== false,
+    };
+  }
+
+  /**
+   * 根据提交类型生成 type:* 标签
+   */
+  generateTypeLabels(commitAnalysis) {
+    const typeStats = CommitAnalyzer.analyzeCommitTypes([
+      ...commitAnalysis.currentCommits,
+      ...commitAnalysis.previousCommits,
+    ]);
+    return Object.entries(typeStats)
+      .filter(([type, count]) => type !== "other" && count > 0)
+      .map(([type]) => `type:${type}`);
+  }
+
+  /**
+   * 创建或刷新 PR，并设置评审人、指派人和里程碑，平台不支持的元数据会被忽略
+   * @param {Object} params - { sourceBranch, targetBranch, title, body, prOptions }
+   * @returns {Object} { existingPR, pullRequest, metadata }
+   */
+  async savePullRequest({
+    sourceBranch,
+    targetBranch,
+    title,
+    body,
+    prOptions,
+  }) {
+    // 查找同一 head/base 的已有 PR
+    const existingPR = await this.provider.findPullRequest(
+      sourceBranch,
+      targetBranch,
+      this.headRepository
+    );
+
+    let pullRequest;
+    if (existingPR) {
+      // 刷新已有 PR，保留手动修改过的段落
+      pullRequest = await this.provider.updatePullRequest(existingPR.number, {
+        title,
+        body: CommitAnalyzer.mergePRDescription(existingPR.body, body),
+        draft: existingPR.draft,
+        labels: prOptions.labels,
+      });
+    } else {
+      pullRequest = await this.provider.createPullRequest({
+        title,
+        body,
+        head: sourceBranch,
+        base: targetBranch,
+        draft: prOptions.draft,
+        labels: prOptions.labels,
+        removeSourceBranch: prOptions.removeSourceBranch,
+        headRepository: this.headRepository,
+      });
+    }
+
+    const resolveMe = async (users) =>
+      Promise.all(
+        users.map(async (user) =>
+          user === "@me" ? await this.provider.getAuthenticatedLogin() : user
+        )
+      );
+    const metadata = await this.provider.applyMetadata(pullRequest, {
+      reviewers: await resolveMe(prOptions.reviewers),
+      assignees: await resolveMe(prOptions.assignees),
+      milestone: prOptions.milestone,
+    });
+    if (metadata.ignored.length > 0) {
+      Logger.warn(
+        `⚠️  ${this.provider.displayName} 暂不支持设置${metadata.ignored.join(
+          "、"
+        )}，已忽略`
+      );
+    }
+
+    return {
+      existingPR,
+      pullRequest,
+      metadata: { ...metadata, labels: prOptions.labels },
+    };
+  }
+
+  /**
+   * 读取 PR 模板和 Issue 跟踪系统配置，生成 PR 描述和标题的选项
+   * @param {Object} prOptions - PR 选项，template 为仓库命名模板
+   * @param {Object} extra - 其他描述选项，如 pickedCommits、headRef、originalBranch
+   * @returns {Object} generatePRDescription 的 options
+   */
+  loadDescriptionOptions(prOptions, extra = {}) {
+    const customTemplate = PRTemplate.loadCustom();
+    return {
+      ...extra,
+      template: PRTemplate.load(prOptions.template),
+      customTemplate: customTemplate?.body,
+      customTitle: customTemplate?.title,
+      customTemplatePath: customTemplate?.path,
+      issueTrackers:
+        ConfigManager.getEffectivePreferences().issues?.trackers || {},
+      baseRemote: this.remotes?.base,
+    };
+  }
+
+  /**
+   * 生成 PR 标题，自定义模板定义了标题时使用模板
+   */
+  generatePRTitle(
+    sourceBranch,
+    targetBranch,
+    commitAnalysis,
+    descriptionOptions = {}
+  ) {
+    if (descriptionOptions.customTitle) {
+      return CommitAnalyzer.renderTemplate(
+        descriptionOptions.customTitle,
+        commitAnalysis,
+        sourceBranch,
+        targetBranch,
+        descriptionOptions
+      ).trim();
+    }
+
     const { currentCommits, previousCommits } = commitAnalysis;
 
     // 如果只有当前提交，使用第一个提交的消息作为标题
@@ -0,0 +1,90 @@
+import fs from "fs";
+import path from "path";
+import { GitUtils, ZhgitError, ERROR_CODES } from "@zhihaoo/utils";
+
+/**
+ * 推送会话记录
+ * 保存在 .git 目录下，用于在合并冲突解决后继续 (--continue) 或放弃 (--abort) 推送
+ */
+export default class PushSession {
+  static FILE_NAME = "zhgit-push-session.json";
+
+  static getPath() {
+    return path.join(GitUtils.getGitDir(), this.FILE_NAME);
+  }
+
+  /**
+   * 创建新的推送会话并保存
+   * @param {Object} params - { originalBranch, tempBranch, target, username, strategy, prOptions,
+   *   remotes }，remotes 为 { push, base } 远程仓库名
+   * @returns {Object} 会话记录
+   */
+  static create({
+    originalBranch,
+    tempBranch,
+    target,
+    username,
+    strategy = "merge",
+    prOptions = {},
+    remotes = { push: "origin", base: "origin" },
+    completedSteps = [],
+  }) {
+    const session = {
+      originalBranch,
+      tempBranch,
+      target,
+      username,
+      strategy,
+      prOptions,
+      remotes,
+      completedSteps,
+      createdAt: new Date().toISOString(),
+    };
+    this.save(session);
+    return session;
+  }
+
+  /**
+   * 读取当前推送会话
+   * @returns {Object|null} 会话记录，不存在时返回 null
+   */
+  static load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.getPath(), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw new ZhgitError(
+        `读取推送会话失败: ${error.message}`,
+        ERROR_CODES.CONFIG_INVALID,
+        { filePath: this.getPath() }
+      );
+    }
+  }
+
+  static save(session) {
+    session.updatedAt = new Date().toISOString();
+    fs.writeFileSync(this.getPath(), JSON.stringify(session, null, 2));
+  }
+
+  static clear() {
+    fs.rmSync(this.getPath(), { force: true });
+  }
+
+  /**
+   * 记录已完成的步骤
+   * @param {Object} session - 会话记录
+   * @param {string} step - 步骤名
+   */
+  static completeStep(session, step) {
+    if (!session.completedSteps.includes(step)) {
+      session.completedSteps.push(step);
+    }
+    this.save(session);
+  }
+
+  static isCompleted(session, step) {
+    return session.completedSteps.includes(step);
+  }
+}
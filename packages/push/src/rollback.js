@@ -0,0 +1,81 @@
+import { Logger } from "@zhihaoo/utils";
+
+/**
+ * 推送事务回滚管理
+ * 每个步骤完成后登记对应的补偿操作，失败时按相反顺序执行
+ */
+export default class RollbackManager {
+  constructor() {
+    this.actions = [];
+  }
+
+  /**
+   * 登记补偿操作
+   * @param {string} description - 操作描述
+   * @param {Function} undo - 补偿操作
+   * @param {Object} options - { enabled, reason } enabled 为 false 时仅记录为保留项
+   */
+  register(description, undo, { enabled = true, reason = "" } = {}) {
+    this.actions.push({ description, undo, enabled, reason });
+  }
+
+  /**
+   * 提交事务，清空已登记的补偿操作
+   */
+  commit() {
+    this.actions = [];
+  }
+
+  /**
+   * 按登记的相反顺序执行补偿操作
+   * @returns {Object} { rolledBack, leftInPlace }，leftInPlace 中执行失败的项带有 failed 标记
+   */
+  async rollback() {
+    const rolledBack = [];
+    const leftInPlace = [];
+
+    for (const action of [...this.actions].reverse()) {
+      if (!action.enabled) {
+        leftInPlace.push({
+          description: action.description,
+          reason: action.reason,
+        });
+        continue;
+      }
+
+      try {
+        await action.undo();
+        rolledBack.push({ description: action.description });
+      } catch (error) {
+        leftInPlace.push({
+          description: action.description,
+          reason: `回滚失败: ${error.message}`,
+          failed: true,
+        });
+      }
+    }
+
+    this.actions = [];
+    return { rolledBack, leftInPlace };
+  }
+
+  /**
+   * 输出回滚结果摘要
+   * @param {Object} result - rollback() 的返回值
+   */
+  static printSummary({ rolledBack, leftInPlace }) {
+    if (rolledBack.length > 0) {
+      Logger.info("↩️  已回滚:");
+      rolledBack.forEach(({ description }) => {
+        Logger.info(`   ✓ ${description}`);
+      });
+    }
+
+    if (leftInPlace.length > 0) {
+      Logger.warn("⚠️  以下回滚操作未执行，相关内容已保留:");
+      leftInPlace.forEach(({ description, reason }) => {
+        Logger.warn(`   - ${description}${reason ? ` (${reason})` : ""}`);
+      });
+    }
+  }
+}
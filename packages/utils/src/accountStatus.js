@@ -0,0 +1,112 @@
+import { Logger } from "./index.js";
+import ConfigManager from "./config.js";
+import { CredentialStore } from "./credentialStore.js";
+
+/**
+ * 已保存 Token 的状态检查
+ * 验证 Token 并读取登录名、权限范围和 API 调用额度，供 zhgit auth status 与 zhgit config --verify 使用
+ */
+export class AccountStatus {
+  /**
+   * 检查账户配置的 Token
+   * @param {Object} profile - ConfigManager.listProfiles 返回的账户配置
+   * @returns {Object} { ...profile, siteName, valid, error, scopes, hasRequiredPermissions, rateLimit }
+   */
+  static async check(profile) {
+    await ConfigManager.loadProviders();
+    const status = {
+      ...profile,
+      siteName: ConfigManager.getSiteName(profile.site),
+    };
+
+    const store = CredentialStore.get(profile.store || "keytar");
+    let token = null;
+    try {
+      token = await ConfigManager.readToken(profile);
+    } catch (error) {
+      // 存储后端不可用时只影响该账户配置，继续检查其他账户
+      return { ...status, valid: false, error: error.message };
+    }
+    if (!token) {
+      return {
+        ...status,
+        valid: false,
+        error: `${store.displayName}中没有该 Token`,
+      };
+    }
+
+    const { Provider, apiUrl } = ConfigManager.resolveSite(profile.site);
+    const provider = new Provider({ token, apiUrl, timeout: 10000 });
+    const validation = await provider.validateToken();
+    if (!validation.valid) {
+      return { ...status, valid: false, error: validation.error };
+    }
+
+    let rateLimit = null;
+    try {
+      rateLimit = await provider.getRateLimit();
+    } catch (error) {
+      Logger.debug(`获取 API 额度失败: ${error.message}`);
+    }
+
+    return {
+      ...status,
+      valid: true,
+      login: validation.username,
+      email: validation.email || profile.email,
+      scopes: validation.scopes,
+      hasRequiredPermissions: validation.hasRequiredPermissions,
+      rateLimit,
+    };
+  }
+
+  /**
+   * 输出账户状态
+   * @param {Object} status - check 的结果
+   */
+  static report(status) {
+    const locale = ConfigManager.getLocale();
+    const formatTime = (time) => new Date(time).toLocaleString(locale);
+
+    Logger.info(
+      `\n👤 ${status.name} (${status.siteName}${status.isDefault ? "，默认" : ""})`
+    );
+    if (!status.valid) {
+      Logger.error(`Token 无效: ${status.error}`);
+    } else {
+      Logger.info(`   登录名: ${status.login}`);
+      Logger.info(`   邮箱: ${status.email || "-"}`);
+      Logger.info(
+        `   权限范围: ${
+          !status.scopes
+            ? "未知"
+            : status.scopes.length > 0
+              ? status.scopes.join(", ")
+              : "-"
+        }`
+      );
+      if (status.hasRequiredPermissions === null) {
+        Logger.warn(
+          "⚠️  无法读取该 Token 的权限范围，未检查是否满足创建 PR 的要求"
+        );
+      } else if (status.hasRequiredPermissions) {
+        Logger.success("权限满足推送和创建 PR 的要求");
+      } else {
+        Logger.warn("⚠️  Token 权限不足，无法创建 PR");
+      }
+      const { rateLimit } = status;
+      Logger.info(
+        `   API 剩余额度: ${
+          rateLimit
+            ? `${rateLimit.remaining}/${rateLimit.limit}（${formatTime(
+                rateLimit.reset
+              )} 重置）`
+            : "-"
+        }`
+      );
+    }
+    Logger.info(
+      `   最近使用: ${status.lastUsed ? formatTime(status.lastUsed) : "-"}`
+    );
+  }
+}
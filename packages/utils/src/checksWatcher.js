@@ -0,0 +1,191 @@
+import { Logger } from "./index.js";
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+
+const STATE_ICONS = {
+  pending: "⏳",
+  success: "✅",
+  skipped: "⏭️ ",
+  failure: "❌",
+};
+
+/**
+ * PR 检查状态监视
+ * 通过托管平台读取检查，轮询直到全部完成、必需检查失败或超时
+ */
+export class ChecksWatcher {
+  static DEFAULT_TIMEOUT = 1800;
+  static DEFAULT_INTERVAL = 10;
+  // 推送后检查可能尚未注册，没有任何检查时至少等待的轮询次数
+  static MIN_EMPTY_POLLS = 3;
+
+  /**
+   * 读取检查的超时和轮询间隔设置（秒）
+   * 命令行选项优先，其次为偏好设置中的 checks 字段
+   * @param {Object} preferences - 有效偏好设置
+   * @param {Object} overrides - { timeout, interval }
+   * @returns {Object} { timeout, interval }
+   */
+  static resolveOptions(preferences = {}, overrides = {}) {
+    const settings = preferences.checks || {};
+    const toSeconds = (value, fallback) => {
+      const seconds = Number(value ?? fallback);
+      return Number.isFinite(seconds) && seconds > 0 ? seconds : fallback;
+    };
+
+    return {
+      timeout: toSeconds(
+        overrides.timeout ?? settings.timeout,
+        this.DEFAULT_TIMEOUT
+      ),
+      interval: toSeconds(
+        overrides.interval ?? settings.interval,
+        this.DEFAULT_INTERVAL
+      ),
+    };
+  }
+
+  /**
+   * 汇总检查状态
+   * 尚未上报的必需检查按等待中计入
+   * @param {Array} checks - 检查列表
+   * @param {string[]|null} required - 必需检查名，null 表示全部必需
+   * @returns {Object} { checks, pending, passed, failed, requiredFailed }
+   */
+  static summarize(checks, required = null) {
+    const isRequired = (name) => !required || required.includes(name);
+    const all = checks.map((check) => ({
+      ...check,
+      required: isRequired(check.name),
+    }));
+
+    (required || []).forEach((name) => {
+      if (!all.some((check) => check.name === name)) {
+        all.push({ name, state: "pending", url: null, required: true });
+      }
+    });
+
+    const byState = (...states) =>
+      all.filter((check) => states.includes(check.state));
+
+    return {
+      checks: all,
+      pending: byState("pending"),
+      passed: byState("success", "skipped"),
+      failed: byState("failure"),
+      requiredFailed: byState("failure").filter((check) => check.required),
+    };
+  }
+
+  /**
+   * 格式化检查列表，每个检查一行
+   * @param {Array} checks - summarize 返回的检查列表
+   * @returns {string}
+   */
+  static formatChecks(checks) {
+    const width = Math.max(0, ...checks.map((check) => check.name.length));
+    return checks
+      .map((check) => {
+        const name = check.name.padEnd(width);
+        const optional = check.required ? "" : " (可选)";
+        return `   ${STATE_ICONS[check.state]} ${name}${optional}`.trimEnd();
+      })
+      .join("\n");
+  }
+
+  /**
+   * 格式化轮询进度，用于实时刷新的 spinner 文本
+   * @param {Object} summary - summarize 的结果
+   * @returns {string}
+   */
+  static formatProgress(summary) {
+    const done = summary.passed.length + summary.failed.length;
+    return `等待检查完成 (${done}/${summary.checks.length})...\n${this.formatChecks(
+      summary.checks
+    )}`;
+  }
+
+  /**
+   * 输出最终检查结果，必需检查失败或超时时抛出错误
+   * @param {Object} result - watch 的结果
+   * @param {Ora} spinner - 轮询时使用的 spinner
+   */
+  static report(result, spinner) {
+    if (result.requiredFailed.length > 0) {
+      spinner.fail(`${result.requiredFailed.length} 个必需检查失败`);
+    } else if (result.timedOut) {
+      spinner.warn(`等待检查超时，仍有 ${result.pending.length} 个检查未完成`);
+    } else if (result.checks.length === 0) {
+      spinner.info("没有需要等待的检查");
+    } else {
+      spinner.succeed(
+        `检查已完成 (${result.passed.length}/${result.checks.length} 通过)`
+      );
+    }
+
+    if (result.checks.length > 0) {
+      Logger.info(this.formatChecks(result.checks));
+    }
+    result.failed
+      .filter((check) => check.url)
+      .forEach((check) => Logger.warn(`   ${check.name}: ${check.url}`));
+
+    if (result.requiredFailed.length > 0) {
+      throw new ZhgitError(
+        `必需检查失败: ${result.requiredFailed
+          .map((check) => check.name)
+          .join(", ")}`,
+        ERROR_CODES.CHECKS_FAILED,
+        { checks: result.checks }
+      );
+    }
+    if (result.timedOut) {
+      throw new ZhgitError(
+        `等待检查超时: ${result.pending.map((check) => check.name).join(", ")}`,
+        ERROR_CODES.CHECKS_TIMEOUT,
+        { checks: result.checks }
+      );
+    }
+  }
+
+  /**
+   * 轮询检查状态直到全部完成、必需检查失败或超时
+   * @param {HostingProvider} provider - 托管平台
+   * @param {Object} params - { ref, branch, timeout, interval, onUpdate }
+   *   ref 为 PR head 提交，branch 为目标分支（用于读取必需检查），
+   *   timeout 和 interval 单位为秒，onUpdate 在每次轮询后以汇总结果调用
+   * @returns {Object} summarize 的结果，附加 timedOut
+   */
+  static async watch(
+    provider,
+    {
+      ref,
+      branch,
+      timeout = this.DEFAULT_TIMEOUT,
+      interval = this.DEFAULT_INTERVAL,
+      onUpdate = () => {},
+    }
+  ) {
+    const required = await provider.getRequiredChecks(branch);
+    const deadline = Date.now() + timeout * 1000;
+
+    for (let poll = 1; ; poll++) {
+      const checks = await provider.getChecks(ref);
+      const summary = this.summarize(checks, required);
+      onUpdate(summary);
+
+      const waitingForChecks =
+        summary.checks.length === 0 && poll < this.MIN_EMPTY_POLLS;
+      const finished =
+        summary.requiredFailed.length > 0 ||
+        (summary.pending.length === 0 && !waitingForChecks);
+      if (finished) {
+        return { ...summary, timedOut: false };
+      }
+
+      if (Date.now() + interval * 1000 > deadline) {
+        return { ...summary, timedOut: true };
+      }
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+    }
+  }
+}
@@ -1,5 +1,34 @@
+import crypto from "crypto";
 import { GitUtils } from "./gitUtils.js";
-import { Logger } from "./index.js";
+import { TemplateEngine } from "./templateEngine.js";
+import { Logger, ConfigManager } from "./index.js";
+
+// PR 模板标题与生成段落的对应关系，按顺序匹配
+const TEMPLATE_GROUPS = [
+  { pattern: /issue|ticket|关联/i, ids: ['issues'] },
+  { pattern: /type|类型|统计/i, ids: ['types'] },
+  { pattern: /commit|changes|changelog|提交|变更|改动/i, ids: ['picked', 'current', 'previous'] },
+  { pattern: /summary|description|overview|摘要|描述|概述|说明/i, ids: ['summary'] },
+];
+
+// 关键字后的 Issue 编号列表，以逗号、and 或空白分隔，如 #1, #2 and #3
+const ISSUE_LIST = String.raw`#\d+\b(?:(?:\s*,\s*(?:and\s+)?|\s+(?:and\s+)?)#\d+\b)*`;
+// GitHub 关闭 Issue 的关键字，如 fix #123、closes #45, #46
+const CLOSING_ISSUE_PATTERN = new RegExp(
+  String.raw`\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s*(${ISSUE_LIST})`,
+  'gi'
+);
+// 仅引用 Issue 的关键字，如 refs #123、see #45 #46
+const REFERENCE_ISSUE_PATTERN = new RegExp(
+  String.raw`\b(?:refs?|references?|see|related(?:\s+to)?|issue)\s*:?\s*(${ISSUE_LIST})`,
+  'gi'
+);
+// 分支名中的 Issue 编号，只识别明确的前缀，如 issue-123、feature/gh-123；
+// 不识别 release/2024-q3、feature/2-factor-auth 这类以数字开头的分支名
+const BRANCH_ISSUE_PATTERN = /(?:^|\/)(?:issues?|gh)[-_/]?(\d+)(?=$|[-_/])/i;
+
+const SECTION_PATTERN =
+  /<!-- zhgit:section id=(\S+) hash=(\w+) -->\n([\s\S]*?)<!-- \/zhgit:section -->\n?/g;
 
 /**
  * 提交分析工具类
@@ -11,12 +40,13 @@ export class CommitAnalyzer {
    * @param {string} sourceBranch - 源分支
    * @param {string} targetBranch - 目标分支
    * @param {string} originalBranch - 原始工作分支
+   * @param {string} sourceRef - 读取提交的引用，默认为源分支；预览时合并分支尚未创建，使用 HEAD
    * @returns {Object} 分析结果
    */
-  static async analyzeCommits(sourceBranch, targetBranch, originalBranch) {
+  static async analyzeCommits(sourceBranch, targetBranch, originalBranch, sourceRef = sourceBranch) {
     try {
       // 获取所有提交差异
-      const allCommits = GitUtils.getCommitsDiff(targetBranch, sourceBranch);
+      const allCommits = GitUtils.getCommitsDiff(targetBranch, sourceRef);
       
       if (allCommits.length === 0) {
         return {
@@ -50,7 +80,7 @@ export class CommitAnalyzer {
     } catch (error) {
       Logger.error(`提交分析失败: ${error.message}`);
       // 降级处理：如果分析失败，将所有提交归类为当前提交
-      const allCommits = GitUtils.getCommitsDiff(targetBranch, sourceBranch);
+      const allCommits = GitUtils.getCommitsDiff(targetBranch, sourceRef);
       return {
         currentCommits: allCommits,
         previousCommits: [],
@@ -245,6 +275,47 @@ export class CommitAnalyzer {
     return types;
   }
 
+  /**
+   * 生成压缩合并的提交信息
+   * @param {Object} analysis - 提交分析结果
+   * @param {string} sourceBranch - 源分支
+   * @param {string} targetBranch - 目标分支
+   * @returns {string} 提交信息
+   */
+  static generateSquashMessage(analysis, sourceBranch, targetBranch) {
+    const { currentCommits, previousCommits } = analysis;
+    const allCommits = [...currentCommits, ...previousCommits];
+
+    // 只有一个提交时直接使用其提交信息作为标题
+    let message = allCommits.length === 1
+      ? `${allCommits[0].message}\n\n`
+      : `合并 ${sourceBranch} 到 ${targetBranch} (${allCommits.length} 个提交)\n\n`;
+
+    message += `${analysis.summary}\n`;
+
+    [
+      ['本次提交', currentCommits],
+      ['历史提交', previousCommits]
+    ].forEach(([title, commits]) => {
+      if (commits.length === 0) {
+        return;
+      }
+      message += `\n${title}:\n`;
+      commits.forEach(commit => {
+        message += `- ${commit.message} (${commit.hash.substring(0, 7)})\n`;
+      });
+    });
+
+    const typeStats = Object.entries(this.analyzeCommitTypes(allCommits))
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => `${type}: ${count}`);
+    if (typeStats.length > 0) {
+      message += `\n提交类型: ${typeStats.join(', ')}\n`;
+    }
+
+    return message;
+  }
+
   /**
    * 格式化提交列表为 Markdown
    * @param {Array} commits - 提交列表
@@ -257,11 +328,12 @@ export class CommitAnalyzer {
     }
 
     let markdown = `## ${title}\n\n`;
+    const locale = ConfigManager.getLocale();
     
     commits.forEach(commit => {
       const shortHash = commit.hash.substring(0, 7);
       const author = commit.author;
-      const date = commit.date.toLocaleDateString('zh-CN');
+      const date = commit.date.toLocaleDateString(locale);
       
       markdown += `- **${commit.message}**\n`;
       markdown += `  - 作者: ${author}\n`;
@@ -272,57 +344,495 @@ export class CommitAnalyzer {
     return markdown;
   }
 
+  /**
+   * 从提交标题、正文和分支名中提取关联的 Issue
+   * GitHub Issue 使用 #N 形式；外部跟踪系统的 Issue（如 PROJ-456）只识别 trackers 中配置的项目，
+   * trackers 的键为项目前缀，值为链接模板，支持 {key}、{project}、{number}
+   * @param {Array} commits - 提交列表
+   * @param {string} branchName - 原始工作分支名
+   * @param {Object} trackers - 外部跟踪系统配置，如 { PROJ: "https://jira.example.com/browse/{key}" }
+   * @returns {Object} { closes: number[], refs: number[], external: [{ key, url }] }
+   */
+  static extractIssueReferences(commits, branchName = '', trackers = {}) {
+    const closes = new Set();
+    const refs = new Set();
+    const external = new Map();
+
+    const texts = commits.map((commit) => `${commit.message}\n${commit.body || ''}`);
+
+    texts.forEach((text) => {
+      for (const [, list] of text.matchAll(CLOSING_ISSUE_PATTERN)) {
+        list.match(/\d+/g).forEach((number) => closes.add(Number(number)));
+      }
+      for (const [, list] of text.matchAll(REFERENCE_ISSUE_PATTERN)) {
+        list.match(/\d+/g).forEach((number) => refs.add(Number(number)));
+      }
+    });
+
+    // 为某个 Issue 创建的分支合并后即可关闭该 Issue
+    const branchIssue = branchName?.match(BRANCH_ISSUE_PATTERN);
+    if (branchIssue) {
+      closes.add(Number(branchIssue[1]));
+    }
+
+    // 只识别配置的项目前缀，避免把 UTF-8、SHA-256 这类名称当作 Issue
+    const prefixes = Object.keys(trackers);
+    const patterns = [];
+    if (prefixes.length > 0) {
+      const escaped = prefixes.map((prefix) => prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const source = `\\b(${escaped.join('|')})-(\\d+)\\b`;
+      patterns.push([new RegExp(source, 'g'), texts]);
+      // 分支名通常为小写
+      patterns.push([new RegExp(source, 'gi'), [branchName || '']]);
+    }
+
+    patterns.forEach(([pattern, sources]) => {
+      sources.forEach((text) => {
+        for (const [, project, number] of text.matchAll(pattern)) {
+          const prefix = prefixes.find((item) => item.toUpperCase() === project.toUpperCase());
+          const key = `${prefix}-${number}`;
+          if (external.has(key)) {
+            continue;
+          }
+          const url = trackers[prefix]
+            .replace(/\{key\}/g, key)
+            .replace(/\{project\}/g, prefix)
+            .replace(/\{number\}/g, number);
+          external.set(key, { key, url });
+        }
+      });
+    });
+
+    return {
+      closes: [...closes],
+      refs: [...refs].filter((number) => !closes.has(number)),
+      external: [...external.values()],
+    };
+  }
+
+  /**
+   * 格式化关联 Issue 段落
+   * @param {Object} issues - extractIssueReferences 的结果
+   * @returns {string} Markdown，没有关联 Issue 时返回空字符串
+   */
+  static formatIssueReferences(issues) {
+    const lines = [
+      ...issues.closes.map((number) => `Closes #${number}`),
+      ...issues.refs.map((number) => `Refs #${number}`),
+    ];
+    const links = issues.external.map(({ key, url }) => `- [${key}](${url})`);
+    if (lines.length === 0 && links.length === 0) {
+      return '';
+    }
+
+    let markdown = `## 🔗 关联 Issue (Related Issues)\n\n`;
+    if (lines.length > 0) {
+      markdown += `${lines.join('\n')}\n\n`;
+    }
+    if (links.length > 0) {
+      markdown += `${links.join('\n')}\n\n`;
+    }
+    return markdown;
+  }
+
+  /**
+   * 格式化挑选的原始提交列表
+   * @param {Array} commits - 挑选的提交，按挑选顺序
+   * @returns {string} Markdown 格式的列表
+   */
+  static formatPickedCommits(commits) {
+    let markdown = `## 🍒 挑选的提交 (Cherry-picked)\n\n`;
+    commits.forEach(commit => {
+      markdown += `- \`${commit.hash}\` ${commit.message}\n`;
+    });
+    return `${markdown}\n`;
+  }
+
+  /**
+   * 计算段落内容的摘要，用于判断段落是否被手动修改
+   * @param {string} content - 段落内容
+   * @returns {string} 8 位摘要
+   */
+  static hashSection(content) {
+    return crypto.createHash("sha1").update(content).digest("hex").substring(0, 8);
+  }
+
+  /**
+   * 使用标记包裹自动生成的段落
+   * @param {string} id - 段落标识
+   * @param {string} content - 段落内容
+   * @returns {string} 带标记的段落
+   */
+  static wrapSection(id, content) {
+    if (!content) {
+      return '';
+    }
+    return `<!-- zhgit:section id=${id} hash=${this.hashSection(content)} -->\n${content}<!-- /zhgit:section -->\n`;
+  }
+
+  /**
+   * 将 PR 描述拆分为普通文本和自动生成的段落
+   * @param {string} body - PR 描述
+   * @returns {Array} [{ type: 'text'|'section', id, hash, content, raw }]
+   */
+  static parseSections(body) {
+    const segments = [];
+    let lastIndex = 0;
+
+    for (const match of body.matchAll(SECTION_PATTERN)) {
+      if (match.index > lastIndex) {
+        segments.push({ type: 'text', raw: body.slice(lastIndex, match.index) });
+      }
+      const [raw, id, hash, content] = match;
+      segments.push({
+        type: 'section',
+        id,
+        hash,
+        content,
+        raw,
+        edited: this.hashSection(content) !== hash
+      });
+      lastIndex = match.index + raw.length;
+    }
+
+    if (lastIndex < body.length) {
+      segments.push({ type: 'text', raw: body.slice(lastIndex) });
+    }
+
+    return segments;
+  }
+
+  /**
+   * 用新生成的描述刷新已有 PR 描述
+   * 未被修改的自动生成段落替换为最新内容，手动修改过的段落和手写内容保持不变
+   * @param {string} existingBody - 已有 PR 描述
+   * @param {string} newBody - 新生成的描述
+   * @returns {string} 合并后的描述
+   */
+  static mergePRDescription(existingBody, newBody) {
+    // 网页端编辑后的描述可能使用 CRLF 换行
+    existingBody = (existingBody || '').replace(/\r\n/g, '\n');
+    const existing = this.parseSections(existingBody);
+    const freshSections = this.parseSections(newBody).filter(
+      (segment) => segment.type === 'section'
+    );
+
+    // 旧版本生成或完全手写的描述
+    if (!existing.some((segment) => segment.type === 'section')) {
+      if (!existingBody || existingBody.includes('此 PR 由 zhgit 自动生成')) {
+        return newBody;
+      }
+      return `${existingBody.trimEnd()}\n\n${newBody}`;
+    }
+
+    const freshById = new Map(freshSections.map((section) => [section.id, section]));
+    const result = existing
+      .map((segment) => {
+        if (segment.type === 'text' || segment.edited) {
+          return segment;
+        }
+        return freshById.get(segment.id) || null;
+      })
+      .filter(Boolean);
+
+    // 新出现的段落插入到其前一个段落之后
+    freshSections.forEach((section, index) => {
+      if (result.some((segment) => segment.id === section.id)) {
+        return;
+      }
+      const previousIds = freshSections.slice(0, index).map((s) => s.id).reverse();
+      const anchorIndex = previousIds
+        .map((id) => result.findIndex((segment) => segment.id === id))
+        .find((position) => position !== -1);
+      if (anchorIndex === undefined) {
+        const firstSection = result.findIndex((segment) => segment.type === 'section');
+        result.splice(Math.max(firstSection, 0), 0, section);
+      } else {
+        result.splice(anchorIndex + 1, 0, section);
+      }
+    });
+
+    return result.map((segment) => segment.raw).join('');
+  }
+
   /**
    * 生成完整的 PR 描述
+   * 每个段落使用标记包裹，刷新已有 PR 时据此保留手动修改的段落
    * @param {Object} analysis - 提交分析结果
    * @param {string} sourceBranch - 源分支
    * @param {string} targetBranch - 目标分支
+   * @param {Object} options - 可选内容
+   * @param {Array} options.pickedCommits - 挑选的原始提交，记录在 PR 中
+   * @param {string} options.template - 仓库 PR 模板内容，提供时将段落填入模板
+   * @param {string} options.customTemplate - zhgit 自定义模板，提供时完全由模板生成描述
+   * @param {string} options.headRef - 计算改动文件使用的分支，默认为源分支
+   * @param {string} options.originalBranch - 原始工作分支，用于提取分支名中的 Issue
+   * @param {Object} options.issueTrackers - 外部 Issue 跟踪系统的链接模板
+   * @param {string} options.baseRemote - 目标分支所在的远程仓库，默认为 origin
    * @returns {string} PR 描述
    */
-  static generatePRDescription(analysis, sourceBranch, targetBranch) {
-    let description = `# 合并请求: ${sourceBranch} → ${targetBranch}\n\n`;
-    
-    description += `## 📋 变更摘要\n`;
-    description += `${analysis.summary}\n\n`;
+  static generatePRDescription(analysis, sourceBranch, targetBranch, options = {}) {
+    // 自定义模板整体作为一个段落，未手动修改时刷新 PR 会整体替换
+    if (options.customTemplate) {
+      return this.wrapSection(
+        'template',
+        this.renderTemplate(options.customTemplate, analysis, sourceBranch, targetBranch, options)
+      );
+    }
+
+    const sections = this.buildPRSections(analysis, sourceBranch, targetBranch, options);
+
+    if (options.template) {
+      return this.applyPRTemplate(options.template, sections);
+    }
+
+    return sections
+      .map(({ id, content }) => this.wrapSection(id, content))
+      .join('');
+  }
+
+  /**
+   * 使用提交分析结果渲染自定义模板
+   * @param {string} template - 模板内容
+   * @returns {string} 渲染结果
+   */
+  static renderTemplate(template, analysis, sourceBranch, targetBranch, options = {}) {
+    return TemplateEngine.render(
+      template,
+      this.buildTemplateContext(analysis, sourceBranch, targetBranch, options)
+    );
+  }
+
+  /**
+   * 生成自定义模板可用的变量
+   * @returns {Object} { sourceBranch, targetBranch, summary, totalCommits, commits, currentCommits,
+   *   previousCommits, pickedCommits, firstCommit, typeStats, changedFiles, authors,
+   *   closingIssues, referencedIssues, externalIssues, repoTemplate }
+   */
+  static buildTemplateContext(analysis, sourceBranch, targetBranch, options = {}) {
+    const locale = ConfigManager.getLocale();
+    const toItem = (commit) => ({
+      ...commit,
+      shortHash: commit.hash.substring(0, 7),
+      date: commit.date ? commit.date.toLocaleDateString(locale) : '',
+    });
+    const currentCommits = analysis.currentCommits.map(toItem);
+    const previousCommits = analysis.previousCommits.map(toItem);
+    const commits = [...currentCommits, ...previousCommits];
+
+    const typeStats = Object.entries(this.analyzeCommitTypes(commits))
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => ({ type, count }));
+
+    const authors = [];
+    commits.forEach((commit) => {
+      const author = authors.find((item) => item.email === commit.email);
+      if (author) {
+        author.commits++;
+      } else {
+        authors.push({ name: commit.author, email: commit.email, commits: 1 });
+      }
+    });
+
+    let changedFiles = [];
+    try {
+      changedFiles = GitUtils.getChangedFiles(
+        `${options.baseRemote || 'origin'}/${targetBranch}`,
+        options.headRef || sourceBranch
+      );
+    } catch (error) {
+      Logger.debug(`获取改动文件失败: ${error.message}`);
+    }
+
+    const issues = this.extractIssueReferences(
+      commits,
+      options.originalBranch,
+      options.issueTrackers
+    );
+
+    return {
+      sourceBranch,
+      targetBranch,
+      summary: analysis.summary,
+      totalCommits: commits.length,
+      commits,
+      currentCommits,
+      previousCommits,
+      pickedCommits: (options.pickedCommits || []).map(toItem),
+      firstCommit: commits[0] || null,
+      typeStats,
+      changedFiles,
+      authors,
+      closingIssues: issues.closes,
+      referencedIssues: issues.refs,
+      externalIssues: issues.external,
+      repoTemplate: options.template || '',
+    };
+  }
+
+  /**
+   * 生成 PR 描述的各个段落
+   * @returns {Array} [{ id, content }]，按默认排列顺序
+   */
+  static buildPRSections(analysis, sourceBranch, targetBranch, options = {}) {
+    const sections = [];
+
+    sections.push({
+      id: 'title',
+      content: `# 合并请求: ${sourceBranch} → ${targetBranch}\n\n`
+    });
+
+    sections.push({
+      id: 'summary',
+      content: `## 📋 变更摘要\n${analysis.summary}\n\n`
+    });
+
+    // 关联的 Issue
+    const issues = this.extractIssueReferences(
+      [...analysis.currentCommits, ...analysis.previousCommits],
+      options.originalBranch,
+      options.issueTrackers
+    );
+    const issueSection = this.formatIssueReferences(issues);
+    if (issueSection) {
+      sections.push({ id: 'issues', content: issueSection });
+    }
+
+    // 挑选的原始提交
+    if (options.pickedCommits?.length > 0) {
+      sections.push({
+        id: 'picked',
+        content: this.formatPickedCommits(options.pickedCommits)
+      });
+    }
 
     // 本次提交
     if (analysis.currentCommits.length > 0) {
-      description += this.formatCommitsAsMarkdown(
-        analysis.currentCommits, 
-        '📈 本次提交 (Current Changes)'
-      );
+      sections.push({
+        id: 'current',
+        content: this.formatCommitsAsMarkdown(
+          analysis.currentCommits, 
+          '📈 本次提交 (Current Changes)'
+        )
+      });
     }
 
     // 历史提交
     if (analysis.previousCommits.length > 0) {
-      description += this.formatCommitsAsMarkdown(
-        analysis.previousCommits, 
-        '📚 历史提交 (Previous Changes)'
-      );
+      sections.push({
+        id: 'previous',
+        content: this.formatCommitsAsMarkdown(
+          analysis.previousCommits, 
+          '📚 历史提交 (Previous Changes)'
+        )
+      });
     }
 
     // 提交类型统计
     const allCommits = [...analysis.currentCommits, ...analysis.previousCommits];
     const typeStats = this.analyzeCommitTypes(allCommits);
     
-    description += `## 📊 提交类型统计\n\n`;
+    let typeSection = `## 📊 提交类型统计\n\n`;
     Object.entries(typeStats).forEach(([type, count]) => {
       if (count > 0) {
-        description += `- ${type}: ${count} 个\n`;
+        typeSection += `- ${type}: ${count} 个\n`;
       }
     });
-    description += '\n';
+    typeSection += '\n';
+    sections.push({ id: 'types', content: typeSection });
 
     // 检查清单
-    description += `## ✅ 检查清单\n\n`;
-    description += `- [ ] 代码已通过本地测试\n`;
-    description += `- [ ] 提交信息符合规范\n`;
-    description += `- [ ] 无破坏性变更\n`;
-    description += `- [ ] 文档已更新（如需要）\n\n`;
+    let checklist = `## ✅ 检查清单\n\n`;
+    checklist += `- [ ] 代码已通过本地测试\n`;
+    checklist += `- [ ] 提交信息符合规范\n`;
+    checklist += `- [ ] 无破坏性变更\n`;
+    checklist += `- [ ] 文档已更新（如需要）\n\n`;
+    sections.push({ id: 'checklist', content: checklist });
+
+    sections.push({
+      id: 'footer',
+      content: `---\n*此 PR 由 zhgit 自动生成*\n`
+    });
+
+    return sections;
+  }
+
+  /**
+   * 将段落开头的标题调整为指定级别，level 为 0 时去掉标题
+   * @param {string} content - 段落内容
+   * @param {number} level - 标题级别
+   * @returns {string}
+   */
+  static setHeadingLevel(content, level) {
+    if (level === 0) {
+      return content.replace(/^#{1,6} .*\n+/, '');
+    }
+    return content.replace(/^#{1,6} /, `${'#'.repeat(level)} `);
+  }
+
+  /**
+   * 将生成的段落填入仓库 PR 模板
+   * 模板中的标题按关键字匹配段落（如 Type of change → 类型统计、Commits → 提交列表、
+   * Description → 变更摘要），匹配的内容插入到对应标题下，模板原有内容保持不变；
+   * 未匹配的段落放在模板末尾的提交分析区块中。使用模板时不再生成标题和固定检查清单
+   * @param {string} template - 模板内容
+   * @param {Array} sections - buildPRSections 生成的段落
+   * @returns {string} PR 描述
+   */
+  static applyPRTemplate(template, sections) {
+    const available = sections.filter(
+      (section) => !['title', 'checklist', 'footer'].includes(section.id)
+    );
+    const placed = new Set();
+    const output = [];
+    let inCodeBlock = false;
+
+    template.trimEnd().split('\n').forEach((line) => {
+      output.push(`${line}\n`);
+
+      if (/^(```|~~~)/.test(line)) {
+        inCodeBlock = !inCodeBlock;
+      }
+      const heading = !inCodeBlock && line.match(/^(#{1,6})\s+(.+)$/);
+      if (!heading) {
+        return;
+      }
+
+      const group = TEMPLATE_GROUPS.find(
+        ({ pattern, ids }) =>
+          pattern.test(heading[2]) &&
+          ids.every((id) => !placed.has(id)) &&
+          available.some((section) => ids.includes(section.id))
+      );
+      if (!group) {
+        return;
+      }
+
+      // 单个段落去掉自身标题，多个段落降为下一级标题
+      const matched = available.filter((section) => group.ids.includes(section.id));
+      const level = matched.length === 1 ? 0 : Math.min(heading[1].length + 1, 6);
+      output.push('\n');
+      matched.forEach((section) => {
+        placed.add(section.id);
+        output.push(
+          this.wrapSection(section.id, this.setHeadingLevel(section.content, level))
+        );
+      });
+    });
+
+    const remaining = available.filter((section) => !placed.has(section.id));
+    if (remaining.length > 0) {
+      output.push('\n## 🤖 提交分析\n\n');
+      remaining.forEach((section) => {
+        output.push(
+          this.wrapSection(section.id, this.setHeadingLevel(section.content, 3))
+        );
+      });
+    }
 
-    description += `---\n`;
-    description += `*此 PR 由 zhgit 自动生成*`;
+    const footer = sections.find((section) => section.id === 'footer');
+    output.push('\n', this.wrapSection(footer.id, footer.content));
 
-    return description;
+    return output.join('');
   }
 }
@@ -1,29 +1,54 @@
 import os from "os";
 import path from "path";
 import fs from "fs";
-import { Octokit } from "@octokit/rest";
 import { execSync } from "child_process";
-import fetch from "node-fetch";
-import keytar from "keytar";
-import { Logger } from ".";
+import { Logger } from "./index.js";
 import { GitUtils } from "./gitUtils.js";
+import { GitHubProvider } from "./githubProvider.js";
+import { ProviderRegistry } from "./providerRegistry.js";
+import { PreferenceSchema } from "./preferenceSchema.js";
+import { CredentialStore, EnvStore } from "./credentialStore.js";
 import { ErrorHandler, ERROR_CODES, ZhgitError } from "./errorHandler.js";
 
+/**
+ * 深度合并配置对象，后者覆盖前者，数组整体替换
+ */
+function mergeConfig(base, override) {
+  const result = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    const isPlainObject =
+      value && typeof value === "object" && !Array.isArray(value);
+    if (isPlainObject && result[key] && typeof result[key] === "object") {
+      result[key] = mergeConfig(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
 export default class ConfigManager {
   static CONFIG_FILE = path.join(os.homedir(), ".zhihaorc");
-  static SERVICE_NAME = "zhgit-cli";
+  static REPO_CONFIG_FILE = ".zhgitrc.json";
+
+  // 已注册的托管平台标识，包括加载的第三方平台
+  static get PLATFORMS() {
+    return ProviderRegistry.ids();
+  }
 
   static getConfig() {
     /**
      * {
      *    zhgit: {
-     *      [name]: {
-     *        // 基本配置信息，不包含敏感数据
-     *        email: "",
-     *        lastUsed: "",
-     *        preferences: {}
-     *      }
-     *    }
+     *      // 按 Git 用户名保存的偏好设置
+     *      [name]: { preferences: {} }
+     *    },
+     *    // 账户配置，键为 登录名@主机，Token 保存在 store 存储后端（keytar | file）的 account 账户中
+     *    profiles: {
+     *      [profile]: { site, login, email, lastUsed, account, store }
+     *    },
+     *    // 各站点默认使用的账户配置，键为平台名（github、gitlab、gitee）或企业版主机名
+     *    defaultProfiles: { [site]: profile }
      * }
      */
     try {
@@ -63,10 +88,398 @@ export default class ConfigManager {
     }
   }
 
-  static async saveToken(token, username) {
+  /**
+   * 企业版/自建站点配置，来自偏好设置的 hosts 字段，例如:
+   * { "git.corp.example": { platform: "github", apiUrl: "https://git.corp.example/api/v3" } }
+   * platform 默认为 github，apiUrl 默认为 https://<host> 加平台的 API 路径
+   * 仓库配置中只读取 platform，apiUrl 和 oauth 等地址只能在用户偏好设置中配置，
+   * 避免克隆的仓库将 Token 或授权请求发往其他地址
+   */
+  static getHosts() {
+    const repoHosts = {};
+    Object.entries(this.getRepoConfig().hosts || {}).forEach(
+      ([host, settings]) => {
+        if (settings?.platform) {
+          repoHosts[host] = { platform: settings.platform };
+        }
+      }
+    );
+    return mergeConfig(repoHosts, this.getUserPreferences().hosts || {});
+  }
+
+  /**
+   * 加载用户偏好设置 providers 中登记的第三方托管平台，例如:
+   * { "providers": ["zhgit-provider-gitea"] }
+   * 不读取仓库配置，避免克隆的仓库加载并执行任意代码
+   */
+  static async loadProviders() {
+    await ProviderRegistry.load(this.getUserPreferences().providers);
+  }
+
+  /**
+   * 推送和拉取使用的远程仓库，来自偏好设置的 remotes 字段，默认均为 origin
+   * Fork 工作流中 push 为自己的 Fork，base 为上游仓库，例如:
+   * { "remotes": { "push": "origin", "base": "upstream" } }
+   * @returns {Object} { push, base }
+   */
+  static getRemotes() {
+    const settings = this.getEffectivePreferences().remotes || {};
+    return {
+      push: settings.push || "origin",
+      base: settings.base || "origin",
+    };
+  }
+
+  /**
+   * 解析远程仓库信息，按主机名匹配托管平台，识别 hosts 中配置的企业版主机
+   * @param {string} remote - 远程仓库名
+   * @returns {Object} {owner, repo, platform, host, port, protocol, site}
+   */
+  static parseRemoteUrl(remote = "origin") {
+    const remoteUrl = GitUtils.parseRemoteUrl(remote);
+    const { host, port, protocol } = remoteUrl;
+    const Provider = ProviderRegistry.forHost(host, this.getHosts());
+    const repository = Provider && Provider.parseRepository(remoteUrl);
+    if (!repository) {
+      throw new Error(`无法解析远程仓库信息: ${remoteUrl.url}`);
+    }
+    return {
+      ...repository,
+      platform: Provider.id,
+      host,
+      port,
+      protocol,
+      site: this.getSite(host),
+    };
+  }
+
+  /**
+   * 主机对应的站点标识：公共站点使用平台标识，企业版站点使用主机名
+   */
+  static getSite(host) {
+    const Provider = ProviderRegistry.forHost(host);
+    return Provider ? Provider.id : host;
+  }
+
+  /**
+   * 解析站点的托管平台和 API 地址
+   * @param {string} site - 平台标识（github、gitlab、gitee 等），或企业版主机名
+   * @returns {Object} { Provider, platform, apiUrl }
+   */
+  static resolveSite(site = "github") {
+    if (ProviderRegistry.ids().includes(site)) {
+      return {
+        Provider: ProviderRegistry.get(site),
+        platform: site,
+        apiUrl: this.getApiUrl(site),
+      };
+    }
+    const settings = this.getHosts()[site] || {};
+    const platform = settings.platform || "github";
+    if (!ProviderRegistry.ids().includes(platform)) {
+      throw new ZhgitError(
+        `主机 ${site} 配置了不支持的平台: ${platform}`,
+        ERROR_CODES.CONFIG_INVALID
+      );
+    }
+    const Provider = ProviderRegistry.get(platform);
+    return {
+      Provider,
+      platform,
+      apiUrl: settings.apiUrl || `https://${site}${Provider.apiPath}`,
+    };
+  }
+
+  /**
+   * 解析站点 OAuth 设备授权流程的配置，来自 hosts 中该主机的 oauth 字段，例如:
+   * { "git.corp.example": { oauth: { clientId: "Iv1.xxx", scopes: ["repo"] } } }
+   * 公共站点以主机名为键，如 github.com；deviceCodeUrl / tokenUrl 默认为站点地址加平台的端点路径
+   * @param {string} site - 站点
+   * @param {Object} overrides - 命令行指定的 { clientId, scopes }
+   * @returns {Object} { clientId, deviceCodeUrl, tokenUrl, scopes, name }
+   */
+  static resolveDeviceFlow(site = "github", overrides = {}) {
+    const { Provider } = this.resolveSite(site);
+    const name = this.getSiteName(site);
+    if (!Provider.deviceFlow) {
+      throw new ZhgitError(
+        `${name} 不支持设备授权登录，请使用 zhgit config <token> 设置 Token`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    const host = this.getSiteHost(site);
+    const settings = this.getHosts()[host]?.oauth || {};
+    const clientId = overrides.clientId || settings.clientId;
+    if (!clientId) {
+      throw new ZhgitError(
+        `未配置 ${name} 的 OAuth 应用，请使用 --client-id 指定，或在偏好设置 hosts["${host}"].oauth.clientId 中配置`,
+        ERROR_CODES.CONFIG_MISSING
+      );
+    }
+
+    const { codePath, tokenPath, scopes } = Provider.deviceFlow;
+    return {
+      clientId,
+      deviceCodeUrl: settings.deviceCodeUrl || `https://${host}${codePath}`,
+      tokenUrl: settings.tokenUrl || `https://${host}${tokenPath}`,
+      scopes: overrides.scopes || settings.scopes || scopes,
+      name,
+    };
+  }
+
+  /**
+   * 创建当前仓库的托管平台实例，PR 创建在该远程仓库中
+   * @param {string} remote - 远程仓库名，默认为 remotes 配置中的 base
+   * @returns {HostingProvider}
+   */
+  static async createProvider(remote = this.getRemotes().base) {
+    await this.loadProviders();
+    const { owner, repo, site } = this.parseRemoteUrl(remote);
+    const { Provider, apiUrl } = this.resolveSite(site);
+
+    // 根据远程仓库的主机选择账户配置，--profile 可覆盖；环境变量中的 Token 无需账户配置
+    if (!this.resolveProfile(site) && !this.getEnvToken(site)) {
+      let option = "";
+      if (ProviderRegistry.ids().includes(site)) {
+        option = site === "github" ? "" : ` --platform ${site}`;
+      } else {
+        option = ` --host ${site}`;
+      }
+      throw new ZhgitError(
+        `请先设置 ${this.getSiteName(
+          site
+        )} Token: zhgit auth login${option} 或 zhgit config <your-token>${option}`,
+        ERROR_CODES.AUTH_TOKEN_MISSING
+      );
+    }
+
+    const token = await this.getToken(site);
+    return new Provider({ token, apiUrl, owner, repo });
+  }
+
+  /**
+   * 检测当前仓库所在的站点，无法解析远程仓库时视为 GitHub
+   * @returns {string} github | gitlab | gitee，或企业版主机名
+   */
+  static detectSite() {
     try {
+      return this.parseRemoteUrl().site;
+    } catch (error) {
+      Logger.debug(`检测托管平台失败: ${error.message}`);
+      return "github";
+    }
+  }
+
+  /**
+   * 根据命令行的 --platform / --host 选项确定站点
+   * 企业版主机优先，其次为指定平台，否则根据远程仓库检测
+   * @param {Object} options - { platform, host }
+   * @returns {string} 站点标识
+   */
+  static async resolveSiteOption({ platform, host } = {}) {
+    // 第三方托管平台加载后才能识别其平台标识和主机
+    await this.loadProviders();
+
+    if (platform && !this.PLATFORMS.includes(platform)) {
+      throw new ZhgitError(
+        `不支持的平台: ${platform}，可选值: ${this.PLATFORMS.join(", ")}`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    if (host) {
+      return this.getSite(host);
+    }
+    return platform || this.detectSite();
+  }
+
+  /**
+   * 站点的显示名称，如 GitHub、GitHub Enterprise (git.corp.example)
+   */
+  static getSiteName(site) {
+    if (ProviderRegistry.ids().includes(site)) {
+      return ProviderRegistry.get(site).displayName;
+    }
+    const platform = this.getHosts()[site]?.platform || "github";
+    const name = ProviderRegistry.ids().includes(platform)
+      ? ProviderRegistry.get(platform).displayName
+      : platform;
+    return `${name} Enterprise (${site})`;
+  }
+
+  /**
+   * 站点的主机名，公共站点为平台的公共主机，如 github.com
+   */
+  static getSiteHost(site) {
+    return ProviderRegistry.ids().includes(site)
+      ? ProviderRegistry.get(site).publicHost || site
+      : site;
+  }
+
+  /**
+   * 账户配置名，由登录名和主机组成，如 octocat@github.com
+   */
+  static getProfileName(login, site = "github") {
+    return `${login}@${this.getSiteHost(site)}`;
+  }
+
+  /**
+   * 旧版按 Git 用户名保存 Token 时，密钥库中的账户名
+   */
+  static getLegacyTokenAccount(username, site = "github") {
+    return site === "github" ? username : `${site}:${username}`;
+  }
+
+  /**
+   * 将旧版按 Git 用户名保存的 Token 记录转换为账户配置
+   * 密钥库中的 Token 不移动，账户配置通过 account 字段引用原账户名
+   * @returns {boolean} 是否有记录被转换
+   */
+  static migrateLegacyTokens(config) {
+    let migrated = false;
+    Object.entries(config.zhgit || {}).forEach(([username, user]) => {
+      const records = [
+        ["github", user],
+        ...Object.entries(user.platforms || {}),
+      ];
+      records.forEach(([site, record]) => {
+        if (record.hasToken) {
+          const login = record.login || username;
+          config.profiles = config.profiles || {};
+          config.profiles[this.getProfileName(login, site)] ??= {
+            site,
+            login,
+            email: record.email || "",
+            lastUsed: record.lastUsed || null,
+            account: this.getLegacyTokenAccount(username, site),
+          };
+          migrated = true;
+        }
+      });
+
+      ["login", "email", "lastUsed", "hasToken", "platforms"].forEach(
+        (key) => delete user[key]
+      );
+    });
+    return migrated;
+  }
+
+  /**
+   * 读取全部账户配置，首次读取时转换旧版的 Token 记录
+   * @returns {Object} { config, profiles }
+   */
+  static loadProfiles() {
+    const config = this.getConfig();
+    if (this.migrateLegacyTokens(config)) {
+      this.saveConfig(config);
+    }
+    config.profiles = config.profiles || {};
+    config.defaultProfiles = config.defaultProfiles || {};
+    return { config, profiles: config.profiles };
+  }
+
+  /**
+   * 列出全部账户配置
+   * @returns {Array} [{ name, site, login, email, lastUsed, account, isDefault }]
+   */
+  static listProfiles() {
+    const { config, profiles } = this.loadProfiles();
+    return Object.entries(profiles).map(([name, profile]) => ({
+      name,
+      ...profile,
+      isDefault: config.defaultProfiles[profile.site] === name,
+    }));
+  }
+
+  /**
+   * 按名称查找账户配置，也可以只写登录名（同名登录名只有一个时）
+   * @param {string} name - 账户配置名或登录名
+   * @param {string} site - 只在该站点的账户配置中查找
+   * @returns {Object|null}
+   */
+  static findProfile(name, site = null) {
+    const profiles = this.listProfiles().filter(
+      (profile) => !site || profile.site === site
+    );
+    const exact = profiles.find((profile) => profile.name === name);
+    if (exact) {
+      return exact;
+    }
+    const matches = profiles.filter((profile) => profile.login === name);
+    if (matches.length > 1) {
+      throw new ZhgitError(
+        `登录名 ${name} 对应多个账户配置，请指定完整名称: ${matches
+          .map((profile) => profile.name)
+          .join(", ")}`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * 本次命令使用的账户配置，来自 --profile 选项或环境变量 ZHGIT_PROFILE
+   */
+  static useProfile(name) {
+    this.profileOverride = name;
+  }
+
+  static getProfileOverride() {
+    return this.profileOverride || process.env.ZHGIT_PROFILE || null;
+  }
+
+  /**
+   * 选择站点使用的账户配置
+   * 指定了 --profile 时使用该配置，否则使用站点的默认配置（最近一次保存的 Token）
+   * @param {string} site - 站点
+   * @returns {Object|null} 账户配置，站点没有保存 Token 时返回 null
+   */
+  static resolveProfile(site = "github") {
+    const override = this.getProfileOverride();
+    if (override) {
+      const profile = this.findProfile(override);
+      if (!profile) {
+        throw new ZhgitError(
+          `未找到账户配置: ${override}，可使用 zhgit auth status 查看已保存的账户`,
+          ERROR_CODES.AUTH_TOKEN_MISSING
+        );
+      }
+      if (profile.site !== site) {
+        throw new ZhgitError(
+          `账户配置 ${profile.name} 属于 ${this.getSiteName(
+            profile.site
+          )}，与 ${this.getSiteName(site)} 不一致`,
+          ERROR_CODES.INVALID_INPUT
+        );
+      }
+      return profile;
+    }
+
+    const profiles = this.listProfiles().filter(
+      (profile) => profile.site === site
+    );
+    return profiles.find((profile) => profile.isDefault) || profiles[0] || null;
+  }
+
+  /**
+   * 验证并保存 Token，按登录名和主机保存为账户配置，并设为该站点的默认配置
+   * @param {string} token - Token
+   * @param {string} site - github | gitlab | gitee，或企业版主机名
+   * @returns {string} 账户配置名
+   */
+  static async saveToken(token, site = "github") {
+    try {
+      const store = await this.getCredentialStore();
+      if (store.readOnly) {
+        throw new ZhgitError(
+          `${store.displayName}中的 Token 为只读，无法保存，请将 credentials.store 改为 auto、keytar 或 file`,
+          ERROR_CODES.INVALID_INPUT
+        );
+      }
+
       // 验证 Token 有效性
-      const validation = await this.validateGithubToken(token);
+      const validation = await this.validateToken(token, site);
       if (!validation.valid) {
         throw new ZhgitError(
           `Token 验证失败: ${validation.error}`,
@@ -74,25 +487,28 @@ export default class ConfigManager {
         );
       }
 
-      // 使用系统密钥库安全存储 Token
-      await keytar.setPassword(this.SERVICE_NAME, username, token);
-
-      // 更新配置文件（不包含敏感信息）
-      const config = this.getConfig();
-      if (!config.zhgit) {
-        config.zhgit = {};
-      }
+      const name = this.getProfileName(validation.username, site);
 
-      if (!config.zhgit[username]) {
-        config.zhgit[username] = {};
-      }
+      // 保存到 credentials.store 选择的存储后端
+      await store.set(name, token);
 
-      config.zhgit[username].email = validation.email || "";
-      config.zhgit[username].lastUsed = new Date().toISOString();
-      config.zhgit[username].hasToken = true;
+      // 更新配置文件（不包含敏感信息）
+      const { config, profiles } = this.loadProfiles();
+      profiles[name] = {
+        site,
+        login: validation.username,
+        email: validation.email || "",
+        lastUsed: new Date().toISOString(),
+        account: name,
+        store: store.id,
+      };
+      config.defaultProfiles[site] = name;
 
       this.saveConfig(config);
-      Logger.success(`Token 已安全保存到系统密钥库`);
+      Logger.success(
+        `Token 已安全保存到${store.displayName} (账户配置: ${name})`
+      );
+      return name;
     } catch (error) {
       if (error instanceof ZhgitError) {
         throw error;
@@ -104,31 +520,95 @@ export default class ConfigManager {
     }
   }
 
-  static existedToken() {
+  static existedToken(site = "github") {
     try {
-      const username = GitUtils.getUsername();
-      const config = this.getConfig();
-      return !!config.zhgit?.[username]?.hasToken;
+      return !!this.resolveProfile(site);
     } catch (error) {
       Logger.debug(`检查 Token 存在性失败: ${error.message}`);
       return false;
     }
   }
 
-  static async getToken() {
+  /**
+   * 保存 Token 使用的存储后端，由 credentials.store 配置，auto 时自动检测
+   * @returns {Object} KeytarStore | EncryptedFileStore | EnvStore
+   */
+  static async getCredentialStore() {
+    return CredentialStore.select(
+      this.getPreference("credentials.store").value
+    );
+  }
+
+  /**
+   * 环境变量中适用于站点的 Token，credentials.store 为 keytar 或 file 时忽略
+   * 只用于公共站点和用户偏好设置 hosts 中的主机，仓库配置声明的主机可能来自克隆的仓库
+   * @param {string} site - 站点
+   * @returns {Object|null} { variable, token }
+   */
+  static getEnvToken(site = "github") {
+    const backend = this.getPreference("credentials.store").value;
+    if (!["auto", "env"].includes(backend) || !this.isEnvTokenSite(site)) {
+      return null;
+    }
+    return EnvStore.getToken(site);
+  }
+
+  /**
+   * 站点是否可以使用环境变量中的 Token
+   * @param {string} site - 站点
+   */
+  static isEnvTokenSite(site) {
+    return (
+      ProviderRegistry.ids().includes(site) ||
+      Boolean(this.getUserPreferences().hosts?.[site])
+    );
+  }
+
+  /**
+   * 从账户配置的存储后端读取 Token，不存在时返回 null
+   * 早期版本保存的账户配置没有 store 字段，均保存在系统密钥库中
+   * @param {Object} profile - 账户配置
+   */
+  static async readToken(profile) {
+    return CredentialStore.get(profile.store || "keytar").get(profile.account);
+  }
+
+  /**
+   * 获取站点的 Token 并记录使用时间
+   * 未指定 --profile 时，环境变量中的 Token 优先于已保存的 Token
+   * @param {string} site - 站点
+   */
+  static async getToken(site = "github") {
     try {
-      const username = GitUtils.getUsername();
+      const envToken = this.getProfileOverride()
+        ? null
+        : this.getEnvToken(site);
+      if (envToken) {
+        Logger.debug(`使用环境变量 ${envToken.variable} 中的 Token`);
+        return envToken.token;
+      }
+      if (this.getPreference("credentials.store").value === "env") {
+        throw new ZhgitError(
+          this.isEnvTokenSite(site)
+            ? `未找到 ${this.getSiteName(site)} Token，请设置环境变量 ZHGIT_TOKEN${
+                site === "github" ? " 或 GITHUB_TOKEN" : ""
+              }`
+            : `环境变量中的 Token 不会用于仓库配置声明的主机 ${site}，请在 ~/.zhihaorc 的 hosts 中添加该主机`,
+          ERROR_CODES.AUTH_TOKEN_MISSING
+        );
+      }
 
-      // 从系统密钥库获取 Token
-      const token = await keytar.getPassword(this.SERVICE_NAME, username);
+      const profile = this.resolveProfile(site);
+      const token = profile && (await this.readToken(profile));
 
       if (!token) {
         throw new ZhgitError(
-          "未找到 GitHub Token，请先使用 zhgit config 设置",
+          `未找到 ${this.getSiteName(site)} Token，请先使用 zhgit config 设置`,
           ERROR_CODES.AUTH_TOKEN_MISSING
         );
       }
 
+      this.touchProfile(profile.name);
       return token;
     } catch (error) {
       if (error instanceof ZhgitError) {
@@ -141,23 +621,53 @@ export default class ConfigManager {
     }
   }
 
-  static async removeToken(username = null) {
+  /**
+   * 更新账户配置的最近使用时间，失败不影响当前操作
+   */
+  static touchProfile(name) {
     try {
-      const user = username || GitUtils.getUsername();
+      const { config, profiles } = this.loadProfiles();
+      if (profiles[name]) {
+        profiles[name].lastUsed = new Date().toISOString();
+        this.saveConfig(config);
+      }
+    } catch (error) {
+      Logger.debug(`更新 Token 使用时间失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 删除账户配置及其 Token
+   * @param {string} name - 账户配置名
+   */
+  static async removeToken(name) {
+    try {
+      const { config, profiles } = this.loadProfiles();
+      const profile = profiles[name];
+      if (!profile) {
+        throw new ZhgitError(
+          `未找到账户配置: ${name}`,
+          ERROR_CODES.AUTH_TOKEN_MISSING
+        );
+      }
 
-      // 从系统密钥库删除 Token
-      await keytar.deletePassword(this.SERVICE_NAME, user);
+      // 从保存时使用的存储后端删除 Token
+      await CredentialStore.get(profile.store || "keytar").delete(
+        profile.account
+      );
 
       // 更新配置文件
-      const config = this.getConfig();
-      if (config.zhgit?.[user]) {
-        config.zhgit[user].hasToken = false;
-        delete config.zhgit[user].email;
-        this.saveConfig(config);
+      delete profiles[name];
+      if (config.defaultProfiles[profile.site] === name) {
+        delete config.defaultProfiles[profile.site];
       }
+      this.saveConfig(config);
 
-      Logger.success("Token 已删除");
+      Logger.success(`Token 已删除 (账户配置: ${name})`);
     } catch (error) {
+      if (error instanceof ZhgitError) {
+        throw error;
+      }
       throw new ZhgitError(
         `删除 Token 失败: ${error.message}`,
         ERROR_CODES.CONFIG_INVALID
@@ -165,68 +675,53 @@ export default class ConfigManager {
     }
   }
 
-  static async validateGithubToken(token) {
-    try {
-      const octokit = new Octokit({
-        auth: token,
-        request: {
-          fetch: fetch,
-          timeout: 10000, // 10秒超时
-        },
-      });
-
-      const { data } = await octokit.users.getAuthenticated();
-
-      // 检查 Token 权限
-      const scopes = await this.checkTokenScopes(octokit);
+  /**
+   * 按站点的托管平台验证 Token
+   * @param {string} site - 平台标识（github、gitlab、gitee 等），或企业版主机名
+   * @returns {Object} { valid, username, email, scopes, hasRequiredPermissions } 或 { valid: false, error }
+   */
+  static async validateToken(token, site = "github") {
+    await this.loadProviders();
+    const { Provider, apiUrl } = this.resolveSite(site);
+    const result = await new Provider({
+      token,
+      apiUrl,
+      timeout: 10000,
+    }).validateToken();
+    if (!result.valid) {
+      Logger.debug(`${Provider.displayName} Token 验证失败: ${result.error}`);
+    }
+    return result;
+  }
 
-      return {
-        valid: true,
-        username: data.login,
-        email: data.email,
-        scopes: scopes,
-        hasRequiredPermissions: this.hasRequiredPermissions(scopes),
-      };
-    } catch (error) {
-      Logger.debug(`Token 验证失败: ${error.message}`);
-
-      let errorMessage = error.message;
-      if (error.status === 401) {
-        errorMessage = "Token 无效或已过期";
-      } else if (error.status === 403) {
-        errorMessage = "Token 权限不足";
-      } else if (error.code === "ETIMEDOUT") {
-        errorMessage = "网络连接超时";
-      }
+  /**
+   * 公共站点的 API 地址，可通过环境变量 ZHGIT_<PLATFORM>_API_URL（如 ZHGIT_GITLAB_API_URL）
+   * 或用户偏好设置 <platform>.apiUrl 覆盖，用于本地模拟服务
+   * 不读取仓库配置，避免克隆的仓库将 Token 发往其他地址
+   * @param {string} platform - 平台标识，如 github、gitlab、gitee
+   */
+  static getApiUrl(platform) {
+    return (
+      process.env[`ZHGIT_${platform.toUpperCase()}_API_URL`] ||
+      this.getUserPreferences()[platform]?.apiUrl ||
+      ProviderRegistry.get(platform).defaultApiUrl
+    );
+  }
 
-      return {
-        valid: false,
-        error: errorMessage,
-      };
-    }
+  static async validateGithubToken(token, apiUrl = this.getApiUrl("github")) {
+    return new GitHubProvider({
+      token,
+      apiUrl,
+      timeout: 10000,
+    }).validateToken();
   }
 
   static async checkTokenScopes(octokit) {
-    try {
-      // 通过一个简单的 API 调用来检查权限
-      const response = await octokit.request("GET /user");
-      const scopes = response.headers["x-oauth-scopes"] || "";
-      return scopes
-        .split(",")
-        .map((scope) => scope.trim())
-        .filter(Boolean);
-    } catch (error) {
-      Logger.debug(`检查 Token 权限失败: ${error.message}`);
-      return [];
-    }
+    return GitHubProvider.checkTokenScopes(octokit);
   }
 
   static hasRequiredPermissions(scopes) {
-    // 检查是否有必要的权限
-    const requiredScopes = ["repo", "public_repo"];
-    return requiredScopes.some((required) =>
-      scopes.some((scope) => scope.includes(required))
-    );
+    return GitHubProvider.hasRequiredPermissions(scopes);
   }
 
   static getUserPreferences(username = null) {
@@ -240,6 +735,48 @@ export default class ConfigManager {
     }
   }
 
+  static getRepoConfigPath() {
+    return path.join(GitUtils.getRepoRoot(), this.REPO_CONFIG_FILE);
+  }
+
+  static getRepoConfig() {
+    /**
+     * 仓库级配置，随代码一起提交，例如:
+     * {
+     *    targets: {
+     *      main: { reviewers: ["alice"], draft: false },
+     *      "release/*": { draft: true }
+     *    }
+     * }
+     */
+    let configPath;
+    try {
+      configPath = this.getRepoConfigPath();
+    } catch (error) {
+      Logger.debug(`获取仓库根目录失败: ${error.message}`);
+      return {};
+    }
+
+    try {
+      const configData = fs.readFileSync(configPath, "utf8");
+      return JSON.parse(configData);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw new ZhgitError(
+        `读取仓库配置文件失败: ${error.message}`,
+        ERROR_CODES.CONFIG_INVALID,
+        { filePath: configPath }
+      );
+    }
+  }
+
+  static getEffectivePreferences(username = null) {
+    // 仓库配置优先于用户偏好设置
+    return mergeConfig(this.getUserPreferences(username), this.getRepoConfig());
+  }
+
   static saveUserPreferences(preferences, username = null) {
     try {
       const user = username || GitUtils.getUsername();
@@ -266,4 +803,139 @@ export default class ConfigManager {
       );
     }
   }
+
+  static saveRepoConfig(config) {
+    const configPath = this.getRepoConfigPath();
+    try {
+      // 仓库配置随代码提交，使用常规权限
+      fs.writeFileSync(configPath, `${JSON.stringify(config, null, 2)}\n`);
+    } catch (error) {
+      throw new ZhgitError(
+        `保存仓库配置文件失败: ${error.message}`,
+        ERROR_CODES.CONFIG_INVALID,
+        { filePath: configPath }
+      );
+    }
+  }
+
+  /**
+   * 读取配置项的有效值及其来源，仓库配置优先于用户偏好设置
+   * 只能全局设置的配置项忽略仓库配置中的值
+   * @param {string} key - 点分路径，如 pr.draft
+   * @returns {Object} { key, value, source }，source 为 repo | global | default，
+   *   未设置且没有默认值时为 null
+   */
+  static getPreference(key) {
+    const definition = PreferenceSchema.get(key);
+    const scopes = [
+      ["repo", definition.globalOnly ? {} : this.getRepoConfig()],
+      ["global", this.getUserPreferences()],
+    ];
+
+    for (const [source, preferences] of scopes) {
+      const value = PreferenceSchema.getValue(preferences, key);
+      if (value !== undefined) {
+        return { key, value, source };
+      }
+    }
+
+    return {
+      key,
+      value: definition.default,
+      source: definition.default === undefined ? null : "default",
+    };
+  }
+
+  /**
+   * 读取指定范围中的配置项，不合并其他范围
+   * @param {string} key - 点分路径
+   * @param {string} scope - global | repo
+   */
+  static getScopedPreference(key, scope) {
+    PreferenceSchema.get(key);
+    const preferences =
+      scope === "repo" ? this.getRepoConfig() : this.getUserPreferences();
+    return PreferenceSchema.getValue(preferences, key);
+  }
+
+  /**
+   * 列出全部配置项的有效值及其来源
+   * @returns {Array} [{ key, value, source, description }]
+   */
+  static listPreferences() {
+    return PreferenceSchema.keys.map((key) => ({
+      ...this.getPreference(key),
+      description: PreferenceSchema.get(key).description,
+    }));
+  }
+
+  /**
+   * 校验并保存配置项
+   * @param {string} key - 点分路径
+   * @param {string} input - 命令行输入的值，按配置项类型转换
+   * @param {string} scope - global（~/.zhihaorc 中当前用户的偏好设置）| repo（.zhgitrc.json）
+   * @returns {*} 保存的值
+   */
+  static setPreference(key, input, scope = "global") {
+    if (scope === "repo" && PreferenceSchema.get(key).globalOnly) {
+      throw new ZhgitError(
+        `配置项 ${key} 只能在全局设置，请去掉 --repo`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+    const value = PreferenceSchema.parse(key, input);
+    this.updatePreferences(scope, (preferences) =>
+      PreferenceSchema.setValue(preferences, key, value)
+    );
+    return value;
+  }
+
+  /**
+   * 删除配置项
+   * @returns {boolean} 该范围中是否设置过此配置项
+   */
+  static unsetPreference(key, scope = "global") {
+    PreferenceSchema.get(key);
+    let removed = false;
+    this.updatePreferences(scope, (preferences) => {
+      removed = PreferenceSchema.unsetValue(preferences, key);
+    });
+    return removed;
+  }
+
+  /**
+   * 修改指定范围的偏好设置
+   * @param {string} scope - global | repo
+   * @param {Function} update - 接收偏好设置对象并原地修改
+   */
+  static updatePreferences(scope, update) {
+    if (scope === "repo") {
+      if (!GitUtils.isGitRepository()) {
+        throw new ZhgitError(
+          "请在 Git 仓库中修改仓库配置",
+          ERROR_CODES.GIT_NOT_REPOSITORY
+        );
+      }
+      const config = this.getRepoConfig();
+      update(config);
+      this.saveRepoConfig(config);
+      return;
+    }
+
+    const user = GitUtils.getUsername();
+    const config = this.getConfig();
+    config.zhgit = config.zhgit || {};
+    config.zhgit[user] = config.zhgit[user] || {};
+    const preferences = (config.zhgit[user].preferences =
+      config.zhgit[user].preferences || {});
+    update(preferences);
+    this.saveConfig(config);
+  }
+
+  /**
+   * 日期等内容的显示语言
+   */
+  static getLocale() {
+    return this.getPreference("locale").value;
+  }
 }
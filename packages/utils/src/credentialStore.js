@@ -0,0 +1,314 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Logger } from "./index.js";
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+
+const SERVICE_NAME = "zhgit-cli";
+
+/**
+ * 系统密钥库 (macOS 钥匙串、Windows 凭据管理器、Linux Secret Service)
+ * keytar 为原生模块，在没有 Secret Service 的服务器和容器中可能无法加载或调用失败，因此按需加载
+ */
+export class KeytarStore {
+  static id = "keytar";
+  static displayName = "系统密钥库";
+  static readOnly = false;
+
+  static async load() {
+    if (!this.keytar) {
+      this.keytar = (await import("keytar")).default;
+    }
+    return this.keytar;
+  }
+
+  /**
+   * 检测密钥库是否可用：模块可以加载且能正常读取
+   */
+  static async isAvailable() {
+    if (this.available === undefined) {
+      try {
+        const keytar = await this.load();
+        await keytar.getPassword(SERVICE_NAME, "zhgit-availability-check");
+        this.available = true;
+      } catch (error) {
+        Logger.debug(`系统密钥库不可用: ${error.message}`);
+        this.available = false;
+      }
+    }
+    return this.available;
+  }
+
+  static async get(account) {
+    return (await this.load()).getPassword(SERVICE_NAME, account);
+  }
+
+  static async set(account, token) {
+    await (await this.load()).setPassword(SERVICE_NAME, account, token);
+  }
+
+  static async delete(account) {
+    return (await this.load()).deletePassword(SERVICE_NAME, account);
+  }
+}
+
+/**
+ * 加密文件，用于没有系统密钥库的环境
+ * 使用 AES-256-GCM 加密，密钥由环境变量 ZHGIT_CREDENTIAL_PASSPHRASE 中的口令派生，
+ * 未设置口令时由本机标识 (machine-id)、用户名和主目录派生，文件权限为 0600
+ */
+export class EncryptedFileStore {
+  static id = "file";
+  static displayName = "加密文件";
+  static readOnly = false;
+  static FILE = path.join(os.homedir(), ".zhgit-credentials");
+  static PASSPHRASE_ENV = "ZHGIT_CREDENTIAL_PASSPHRASE";
+
+  static async isAvailable() {
+    return true;
+  }
+
+  /**
+   * 派生密钥使用的口令
+   * @returns {Object} { source, secret }，source 为 passphrase | machine
+   */
+  static getSecret() {
+    const passphrase = process.env[this.PASSPHRASE_ENV];
+    if (passphrase) {
+      return { source: "passphrase", secret: passphrase };
+    }
+
+    const machineId =
+      ["/etc/machine-id", "/var/lib/dbus/machine-id"]
+        .map((file) => {
+          try {
+            return fs.readFileSync(file, "utf8").trim();
+          } catch {
+            return "";
+          }
+        })
+        .find(Boolean) || os.hostname();
+    return {
+      source: "machine",
+      secret: `${machineId}:${os.userInfo().username}:${os.homedir()}`,
+    };
+  }
+
+  static encrypt(key, text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+    return {
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    };
+  }
+
+  static decrypt(key, { iv, tag, data }) {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      key,
+      Buffer.from(iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(data, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  /**
+   * 读取凭据文件并派生密钥，文件不存在时创建新的空凭据
+   * 通过 check 字段验证口令，避免用错误的密钥覆盖已有凭据
+   * @returns {Object} { store, key }
+   */
+  static open() {
+    let store = null;
+    try {
+      store = JSON.parse(fs.readFileSync(this.FILE, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new ZhgitError(
+          `读取凭据文件失败: ${error.message}`,
+          ERROR_CODES.CONFIG_INVALID,
+          { filePath: this.FILE }
+        );
+      }
+    }
+
+    const { source, secret } = this.getSecret();
+    if (!store) {
+      const salt = crypto.randomBytes(16);
+      const key = crypto.scryptSync(secret, salt, 32);
+      return {
+        key,
+        store: {
+          version: 1,
+          keySource: source,
+          salt: salt.toString("base64"),
+          check: this.encrypt(key, SERVICE_NAME),
+          tokens: {},
+        },
+      };
+    }
+
+    const key = crypto.scryptSync(
+      secret,
+      Buffer.from(store.salt, "base64"),
+      32
+    );
+    try {
+      this.decrypt(key, store.check);
+    } catch {
+      const hint =
+        store.keySource === "passphrase"
+          ? `请设置与保存时相同的口令 ${this.PASSPHRASE_ENV}`
+          : `凭据文件由本机标识加密，请勿设置 ${this.PASSPHRASE_ENV}，且只能在创建它的机器和用户下使用`;
+      throw new ZhgitError(
+        `无法解密凭据文件 ${this.FILE}，${hint}`,
+        ERROR_CODES.CONFIG_INVALID,
+        { filePath: this.FILE }
+      );
+    }
+    return { store, key };
+  }
+
+  static save(store) {
+    try {
+      // 设置安全的文件权限（仅用户可读写），已存在的文件同样收紧权限
+      fs.writeFileSync(this.FILE, JSON.stringify(store, null, 2), {
+        mode: 0o600,
+      });
+      fs.chmodSync(this.FILE, 0o600);
+    } catch (error) {
+      throw new ZhgitError(
+        `保存凭据文件失败: ${error.message}`,
+        ERROR_CODES.CONFIG_INVALID,
+        { filePath: this.FILE }
+      );
+    }
+  }
+
+  static async get(account) {
+    if (!fs.existsSync(this.FILE)) {
+      return null;
+    }
+    const { store, key } = this.open();
+    const entry = store.tokens[account];
+    return entry ? this.decrypt(key, entry) : null;
+  }
+
+  static async set(account, token) {
+    const { store, key } = this.open();
+    store.tokens[account] = this.encrypt(key, token);
+    this.save(store);
+  }
+
+  static async delete(account) {
+    if (!fs.existsSync(this.FILE)) {
+      return false;
+    }
+    const { store } = this.open();
+    if (!store.tokens[account]) {
+      return false;
+    }
+    delete store.tokens[account];
+    this.save(store);
+    return true;
+  }
+}
+
+/**
+ * 环境变量中的 Token，只读
+ * ZHGIT_TOKEN 适用于任何站点，GITHUB_TOKEN 只用于 github.com
+ */
+export class EnvStore {
+  static id = "env";
+  static displayName = "环境变量";
+  static readOnly = true;
+
+  static async isAvailable() {
+    return true;
+  }
+
+  /**
+   * 读取站点可用的环境变量 Token
+   * @param {string} site - 站点
+   * @returns {Object|null} { variable, token }
+   */
+  static getToken(site = "github") {
+    const variables =
+      site === "github" ? ["ZHGIT_TOKEN", "GITHUB_TOKEN"] : ["ZHGIT_TOKEN"];
+    const variable = variables.find((name) => process.env[name]);
+    return variable ? { variable, token: process.env[variable] } : null;
+  }
+
+  static async get() {
+    return null;
+  }
+
+  static async set() {
+    throw new ZhgitError(
+      "环境变量中的 Token 为只读，请设置 ZHGIT_TOKEN 或 GITHUB_TOKEN，或将 credentials.store 改为 keytar / file",
+      ERROR_CODES.INVALID_INPUT
+    );
+  }
+
+  static async delete() {
+    return false;
+  }
+}
+
+const STORES = {
+  keytar: KeytarStore,
+  file: EncryptedFileStore,
+  env: EnvStore,
+};
+
+/**
+ * Token 存储后端的选择
+ * 偏好设置 credentials.store 为 auto（默认）时，系统密钥库可用则使用密钥库，否则使用加密文件；
+ * 环境变量中的 Token 在 auto 和 env 模式下优先于已保存的 Token
+ */
+export class CredentialStore {
+  static BACKENDS = ["auto", ...Object.keys(STORES)];
+
+  /**
+   * 获取存储后端
+   * @param {string} id - keytar | file | env
+   */
+  static get(id) {
+    const Store = STORES[id];
+    if (!Store) {
+      throw new ZhgitError(
+        `不支持的凭据存储: ${id}，可选: ${this.BACKENDS.join(", ")}`,
+        ERROR_CODES.CONFIG_INVALID
+      );
+    }
+    return Store;
+  }
+
+  /**
+   * 确定保存 Token 使用的存储后端
+   * @param {string} backend - auto | keytar | file | env
+   * @returns {Object} 存储后端
+   */
+  static async select(backend = "auto") {
+    if (backend === "auto") {
+      return (await KeytarStore.isAvailable())
+        ? KeytarStore
+        : EncryptedFileStore;
+    }
+
+    const Store = this.get(backend);
+    if (!(await Store.isAvailable())) {
+      throw new ZhgitError(
+        `${Store.displayName}不可用，可执行 zhgit config set credentials.store file 改用加密文件`,
+        ERROR_CODES.CONFIG_INVALID
+      );
+    }
+    return Store;
+  }
+}
@@ -0,0 +1,171 @@
+import fetch from "node-fetch";
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+
+const DEVICE_CODE_GRANT = "urn:ietf:params:oauth:grant-type:device_code";
+
+/**
+ * OAuth 设备授权流程 (RFC 8628)
+ * 申请设备码后由用户在浏览器中输入验证码完成授权，命令行轮询令牌端点获取 Token，
+ * 用于 zhgit auth login，无需手动创建和粘贴 Token
+ */
+export class DeviceFlow {
+  /**
+   * @param {Object} options - { clientId, deviceCodeUrl, tokenUrl, scopes, name, timeout }
+   *   deviceCodeUrl / tokenUrl 可指向企业版站点或本地模拟授权服务，name 为错误信息中的平台名
+   */
+  constructor({
+    clientId,
+    deviceCodeUrl,
+    tokenUrl,
+    scopes = [],
+    name,
+    timeout,
+  }) {
+    this.clientId = clientId;
+    this.deviceCodeUrl = deviceCodeUrl;
+    this.tokenUrl = tokenUrl;
+    this.scopes = scopes;
+    this.name = name;
+    this.timeout = timeout || 30000;
+  }
+
+  /**
+   * 以表单格式发送请求并解析 JSON 响应
+   * 授权服务在 4xx 响应中以 error 字段说明原因，GitHub 在 200 响应中返回 error 字段，两者统一返回
+   * @param {string} url - 端点地址
+   * @param {Object} params - 表单参数
+   * @returns {Object} 响应内容
+   */
+  async post(url, params) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers: {
+          Accept: "application/json",
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams(params).toString(),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new ZhgitError(
+          `${this.name} 授权请求超时: ${url}`,
+          ERROR_CODES.NETWORK_TIMEOUT
+        );
+      }
+      throw new ZhgitError(
+        `无法连接 ${this.name} 授权服务: ${error.message}`,
+        ERROR_CODES.NETWORK_CONNECTION_FAILED
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = Object.fromEntries(new URLSearchParams(text));
+    }
+
+    if (!response.ok && !data.error) {
+      throw new ZhgitError(
+        `${this.name} 授权请求失败 (${response.status}): ${text}`,
+        ERROR_CODES.UNKNOWN_ERROR,
+        { status: response.status, context: url }
+      );
+    }
+    return data;
+  }
+
+  /**
+   * 申请设备码和用户验证码
+   * @returns {Object} { deviceCode, userCode, verificationUri, verificationUriComplete, expiresIn, interval }
+   */
+  async requestCode() {
+    const data = await this.post(this.deviceCodeUrl, {
+      client_id: this.clientId,
+      scope: this.scopes.join(" "),
+    });
+    if (data.error) {
+      throw new ZhgitError(
+        `申请设备码失败: ${data.error_description || data.error}`,
+        data.error === "invalid_client"
+          ? ERROR_CODES.CONFIG_INVALID
+          : ERROR_CODES.AUTH_TOKEN_INVALID
+      );
+    }
+
+    return {
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      verificationUri: data.verification_uri || data.verification_url,
+      verificationUriComplete: data.verification_uri_complete || null,
+      expiresIn: Number(data.expires_in) || 900,
+      interval: Number(data.interval) || 5,
+    };
+  }
+
+  /**
+   * 轮询令牌端点，直到用户完成授权、拒绝授权或设备码过期
+   * 收到 slow_down 时按规范将轮询间隔增加 5 秒
+   * @param {Object} code - requestCode 的结果
+   * @returns {string} Access Token
+   */
+  async pollToken({ deviceCode, expiresIn, interval }) {
+    const deadline = Date.now() + expiresIn * 1000;
+    let delay = interval;
+
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+
+      const data = await this.post(this.tokenUrl, {
+        client_id: this.clientId,
+        device_code: deviceCode,
+        grant_type: DEVICE_CODE_GRANT,
+      });
+
+      switch (data.error) {
+        case undefined:
+          if (!data.access_token) {
+            throw new ZhgitError(
+              `${this.name} 授权服务未返回 Token`,
+              ERROR_CODES.AUTH_TOKEN_INVALID
+            );
+          }
+          return data.access_token;
+        case "authorization_pending":
+          break;
+        case "slow_down":
+          delay = Number(data.interval) || delay + 5;
+          break;
+        case "access_denied":
+          throw new ZhgitError(
+            "授权已被拒绝",
+            ERROR_CODES.AUTH_PERMISSION_DENIED
+          );
+        case "expired_token":
+          throw new ZhgitError(
+            "验证码已过期，请重新执行 zhgit auth login",
+            ERROR_CODES.AUTH_TOKEN_INVALID
+          );
+        default:
+          throw new ZhgitError(
+            `获取 Token 失败: ${data.error_description || data.error}`,
+            ERROR_CODES.AUTH_TOKEN_INVALID
+          );
+      }
+    }
+
+    throw new ZhgitError(
+      "验证码已过期，请重新执行 zhgit auth login",
+      ERROR_CODES.AUTH_TOKEN_INVALID
+    );
+  }
+}
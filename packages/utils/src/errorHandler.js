@@ -55,6 +55,11 @@ export const ERROR_CODES = {
   INVALID_BRANCH_NAME: 'INVALID_BRANCH_NAME',
   INVALID_INPUT: 'INVALID_INPUT',
   
+  // PR 检查与合并相关错误
+  CHECKS_FAILED: 'CHECKS_FAILED',
+  CHECKS_TIMEOUT: 'CHECKS_TIMEOUT',
+  PR_MERGE_FAILED: 'PR_MERGE_FAILED',
+  
   // 系统错误
   SYSTEM_ERROR: 'SYSTEM_ERROR',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
@@ -188,8 +193,14 @@ export class ErrorHandler {
       case ERROR_CODES.GIT_MERGE_CONFLICT:
         Logger.info('💡 建议: 手动解决冲突后执行:');
         Logger.info('   1. git add .');
-        Logger.info('   2. git commit -m "resolve conflicts"');
-        Logger.info('   3. 重新执行 zhgit 命令');
+        Logger.info('   2. zhgit push --continue (继续完成推送)');
+        Logger.info('   如需放弃本次推送: zhgit push --abort');
+        break;
+      case ERROR_CODES.CHECKS_FAILED:
+        Logger.info('💡 建议: 打开失败检查的链接查看日志，修复后重新推送');
+        break;
+      case ERROR_CODES.CHECKS_TIMEOUT:
+        Logger.info('💡 建议: 稍后执行 zhgit pr checks 继续查看，或使用 --watch-timeout (配置项 checks.timeout) 延长等待时间');
         break;
     }
   }
@@ -202,10 +213,8 @@ export class ErrorHandler {
  * @param {Function} shouldRetry - 判断是否应该重试的函数
  */
 export function withRetry(maxRetries = 3, delay = 1000, shouldRetry = null) {
-  return function(target, propertyName, descriptor) {
-    const method = descriptor.value;
-    
-    descriptor.value = async function(...args) {
+  const wrap = (method) =>
+    async function(...args) {
       let lastError;
       
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -230,7 +239,14 @@ export function withRetry(maxRetries = 3, delay = 1000, shouldRetry = null) {
       
       throw lastError;
     };
-    
+
+  return function(target, propertyName, descriptor) {
+    // 直接包装函数: withRetry(...)(fn)
+    if (typeof target === 'function' && !descriptor) {
+      return wrap(target);
+    }
+
+    descriptor.value = wrap(descriptor.value);
     return descriptor;
   };
 }
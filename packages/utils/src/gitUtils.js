@@ -1,5 +1,29 @@
-import { execSync, spawn } from "child_process";
+import { execSync, spawn, spawnSync } from "child_process";
+import fs from "fs";
+import path from "path";
 import { Logger } from "./index.js";
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+import { RemoteUrl } from "./remoteUrl.js";
+
+// 提交信息格式：字段以 \x1f 分隔，记录以 \x1e 结尾（正文可能包含换行）
+const COMMIT_FORMAT = "--pretty=format:%H%x1f%s%x1f%an%x1f%ae%x1f%ad%x1f%b%x1e";
+
+/**
+ * 解析 COMMIT_FORMAT 格式的单条提交记录
+ */
+function parseCommit(record) {
+  const [hash, message, author, email, date, body = ""] = record
+    .replace(/^\n+/, "")
+    .split("\x1f");
+  return {
+    hash,
+    message,
+    author,
+    email,
+    date: new Date(date),
+    body: body.trim(),
+  };
+}
 
 /**
  * 安全的 Git 操作工具类
@@ -65,6 +89,22 @@ export class GitUtils {
     }
   }
 
+  /**
+   * 获取仓库根目录
+   * @returns {string}
+   */
+  static getRepoRoot() {
+    return this.execGitCommand(["rev-parse", "--show-toplevel"]);
+  }
+
+  /**
+   * 获取 .git 目录的绝对路径
+   * @returns {string}
+   */
+  static getGitDir() {
+    return path.resolve(this.execGitCommand(["rev-parse", "--git-dir"]));
+  }
+
   /**
    * 检查工作区是否干净
    * @returns {boolean}
@@ -106,11 +146,12 @@ export class GitUtils {
    * 检查分支是否存在
    * @param {string} branchName - 分支名
    * @param {boolean} isRemote - 是否检查远程分支
+   * @param {string} remote - 远程仓库名
    * @returns {boolean}
    */
-  static branchExists(branchName, isRemote = false) {
+  static branchExists(branchName, isRemote = false, remote = "origin") {
     try {
-      const prefix = isRemote ? "origin/" : "";
+      const prefix = isRemote ? `${remote}/` : "";
       this.execGitCommand(["rev-parse", "--verify", `${prefix}${branchName}`]);
       return true;
     } catch {
@@ -118,58 +159,87 @@ export class GitUtils {
     }
   }
 
+  /**
+   * 获取全部远程仓库名
+   * @returns {string[]}
+   */
+  static getRemotes() {
+    return this.execGitCommand(["remote"]).split("\n").filter(Boolean);
+  }
+
+  /**
+   * 检查远程仓库是否存在
+   * @param {string} remote - 远程仓库名
+   * @returns {boolean}
+   */
+  static remoteExists(remote) {
+    return this.getRemotes().includes(remote);
+  }
+
   /**
    * 获取远程仓库 URL
+   * @param {string} remote - 远程仓库名
    * @returns {string}
    */
-  static getRemoteUrl() {
-    return this.execGitCommand(["remote", "get-url", "origin"]);
+  static getRemoteUrl(remote = "origin") {
+    return this.execGitCommand(["remote", "get-url", remote]);
   }
 
   /**
-   * 解析远程仓库信息
-   * @returns {Object} {owner, repo, platform}
+   * 读取 url.<base>.insteadOf 改写规则
+   * @returns {Array} [{ base, insteadOf }]
    */
-  static parseRemoteUrl() {
-    const remoteUrl = this.getRemoteUrl();
+  static getUrlRewrites() {
+    const result = spawnSync(
+      "git",
+      ["config", "--get-regexp", "^url\\..*\\.insteadof$"],
+      { encoding: "utf8" }
+    );
 
-    // GitHub SSH 格式: git@github.com:owner/repo.git
-    // GitHub HTTPS 格式: https://github.com/owner/repo.git
-    // GitLab 类似格式
+    // 没有匹配的配置时退出码为 1
+    if (result.status !== 0) {
+      return [];
+    }
 
-    let owner, repo, platform;
+    return result.stdout
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [key, ...value] = line.split(" ");
+        return {
+          base: key.slice("url.".length, -".insteadof".length),
+          insteadOf: value.join(" "),
+        };
+      });
+  }
 
-    if (remoteUrl.includes("github.com")) {
-      platform = "github";
-      if (remoteUrl.startsWith("git@")) {
-        const match = remoteUrl.match(/git@github\.com:(.+)\/(.+)\.git/);
-        if (match) {
-          [, owner, repo] = match;
-        }
-      } else if (remoteUrl.startsWith("https://")) {
-        const match = remoteUrl.match(/https:\/\/github\.com\/(.+)\/(.+)\.git/);
-        if (match) {
-          [, owner, repo] = match;
-        }
-      }
-    } else if (remoteUrl.includes("gitlab.com")) {
-      platform = "gitlab";
-      // 类似的 GitLab 解析逻辑
-    }
+  /**
+   * 解析远程仓库信息，支持 insteadOf 改写和 ~/.ssh/config 中的主机别名
+   * owner 为仓库名之前的完整路径，如 GitLab 多级群组 group/subgroup，由托管平台进一步校验
+   * @param {string} remote - 远程仓库名
+   * @returns {Object} { protocol, user, host, port, path, owner, repo, url }
+   */
+  static parseRemoteUrl(remote = "origin") {
+    const remoteUrl = this.getRemoteUrl(remote);
+    const parsed = RemoteUrl.parse(remoteUrl, {
+      rewrites: this.getUrlRewrites(),
+      sshHosts: RemoteUrl.loadSshConfig(),
+    });
 
-    if (!owner || !repo) {
-      throw new Error(`无法解析远程仓库信息: ${remoteUrl}`);
+    if (!parsed) {
+      throw new Error(`无法解析远程仓库信息: ${RemoteUrl.redact(remoteUrl)}`);
     }
 
-    return { owner, repo, platform };
+    return parsed;
   }
 
   /**
    * 拉取远程分支
    * @param {string} branch - 分支名
+   * @param {string} remote - 远程仓库名
    */
-  static fetchBranch(branch) {
-    this.execGitCommand(["fetch", "origin", branch]);
+  static fetchBranch(branch, remote = "origin") {
+    this.execGitCommand(["fetch", remote, branch]);
   }
 
   /**
@@ -203,24 +273,419 @@ export class GitUtils {
    * @param {string} branchName - 要合并的分支名
    */
   static mergeBranch(branchName) {
-    this.execGitCommand(["merge", branchName]);
+    try {
+      this.execGitCommand(["merge", branchName]);
+    } catch (error) {
+      if (this.hasConflicts()) {
+        throw new ZhgitError(
+          "合并时发生冲突，请手动解决冲突后继续",
+          ERROR_CODES.GIT_MERGE_CONFLICT,
+          { originalError: error.message, files: this.getConflictedFiles() }
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 模拟合并，不修改工作区和索引
+   * @param {string} ours - 当前分支或提交
+   * @param {string} theirs - 要合并的分支或提交
+   * @returns {Object} { clean, conflicts }
+   */
+  static simulateMerge(ours, theirs) {
+    // Git 2.38+ 支持 --write-tree，冲突时退出码为 1，输出冲突文件列表
+    const result = spawnSync(
+      "git",
+      [
+        "merge-tree",
+        "--write-tree",
+        "--name-only",
+        "--no-messages",
+        ours,
+        theirs,
+      ],
+      { encoding: "utf8" }
+    );
+
+    if (result.status === 0 || result.status === 1) {
+      const [, ...files] = result.stdout.trim().split("\n");
+      return {
+        clean: result.status === 0,
+        conflicts: files.filter(Boolean),
+      };
+    }
+
+    // 旧版本 Git 使用三方 merge-tree，根据冲突标记判断
+    const mergeBase = this.execGitCommand(["merge-base", ours, theirs]);
+    const output = this.execGitCommand(
+      ["merge-tree", mergeBase, ours, theirs],
+      { maxBuffer: 10 * 1024 * 1024 }
+    );
+    const conflicts = [];
+    const lines = output.split("\n");
+    lines.forEach((line, index) => {
+      if (line === "changed in both") {
+        const their = lines
+          .slice(index + 1, index + 4)
+          .find((l) => l.trim().startsWith("their"));
+        if (their) {
+          conflicts.push(their.trim().split(/\s+/).pop());
+        }
+      }
+    });
+    const hasMarkers = output.includes("+<<<<<<<");
+    return {
+      clean: !hasMarkers,
+      conflicts: hasMarkers ? conflicts : [],
+    };
+  }
+
+  /**
+   * 获取存在冲突的文件列表
+   * @returns {string[]}
+   */
+  static getConflictedFiles() {
+    const output = this.execGitCommand([
+      "diff",
+      "--name-only",
+      "--diff-filter=U",
+    ]);
+    return output ? output.split("\n") : [];
+  }
+
+  /**
+   * 检查是否存在未解决的冲突
+   * @returns {boolean}
+   */
+  static hasConflicts() {
+    try {
+      return this.getConflictedFiles().length > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 检查是否有进行中的合并
+   * @returns {boolean}
+   */
+  static isMergeInProgress() {
+    return fs.existsSync(path.join(this.getGitDir(), "MERGE_HEAD"));
+  }
+
+  /**
+   * 提交进行中的合并（使用默认合并信息）
+   */
+  static commitMerge() {
+    this.execGitCommand(["commit", "--no-edit"]);
+  }
+
+  /**
+   * 放弃进行中的合并
+   */
+  static abortMerge() {
+    this.execGitCommand(["merge", "--abort"]);
+  }
+
+  /**
+   * 变基当前分支到指定分支之上
+   * @param {string} onto - 新的基础分支
+   */
+  static rebaseBranch(onto) {
+    try {
+      this.execGitCommand(["rebase", onto]);
+    } catch (error) {
+      if (this.isRebaseInProgress()) {
+        throw new ZhgitError(
+          "变基时发生冲突，请手动解决冲突后继续",
+          ERROR_CODES.GIT_MERGE_CONFLICT,
+          { originalError: error.message, files: this.getConflictedFiles() }
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 检查是否有进行中的变基
+   * @returns {boolean}
+   */
+  static isRebaseInProgress() {
+    const gitDir = this.getGitDir();
+    return (
+      fs.existsSync(path.join(gitDir, "rebase-merge")) ||
+      fs.existsSync(path.join(gitDir, "rebase-apply"))
+    );
+  }
+
+  /**
+   * 解决冲突后继续变基（不打开编辑器）
+   */
+  static continueRebase() {
+    try {
+      this.execGitCommand(["rebase", "--continue"], {
+        env: { ...process.env, GIT_EDITOR: "true" },
+      });
+    } catch (error) {
+      if (this.hasConflicts()) {
+        throw new ZhgitError(
+          "变基时发生冲突，请手动解决冲突后继续",
+          ERROR_CODES.GIT_MERGE_CONFLICT,
+          { originalError: error.message, files: this.getConflictedFiles() }
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 放弃进行中的变基
+   */
+  static abortRebase() {
+    this.execGitCommand(["rebase", "--abort"]);
+  }
+
+  /**
+   * 将分支的改动压缩合并到当前分支的暂存区
+   * @param {string} branchName - 要合并的分支名
+   */
+  static squashMerge(branchName) {
+    try {
+      this.execGitCommand(["merge", "--squash", branchName]);
+    } catch (error) {
+      if (this.hasConflicts()) {
+        throw new ZhgitError(
+          "压缩合并时发生冲突，请手动解决冲突后继续",
+          ERROR_CODES.GIT_MERGE_CONFLICT,
+          { originalError: error.message, files: this.getConflictedFiles() }
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 检查暂存区是否有改动
+   * @returns {boolean}
+   */
+  static hasStagedChanges() {
+    const result = spawnSync("git", ["diff", "--cached", "--quiet"], {
+      stdio: "ignore",
+    });
+    return result.status === 1;
+  }
+
+  /**
+   * 使用指定提交信息提交暂存区
+   * @param {string} message - 提交信息，支持多行
+   */
+  static commit(message) {
+    this.execGitCommand(["commit", "-F", "-"], { input: message });
+  }
+
+  /**
+   * 获取提交哈希
+   * @param {string} ref - 分支或提交
+   * @returns {string}
+   */
+  static getCommitHash(ref = "HEAD") {
+    return this.execGitCommand(["rev-parse", ref]);
+  }
+
+  /**
+   * 按顺序挑选提交到当前分支，提交信息中记录原始提交 (-x)
+   * @param {string[]} hashes - 提交哈希列表
+   */
+  static cherryPick(hashes) {
+    try {
+      this.execGitCommand(["cherry-pick", "-x", ...hashes]);
+    } catch (error) {
+      if (this.isCherryPickInProgress()) {
+        throw new ZhgitError(
+          "挑选提交时发生冲突，请手动解决冲突后继续",
+          ERROR_CODES.GIT_MERGE_CONFLICT,
+          { originalError: error.message, files: this.getConflictedFiles() }
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 检查是否有进行中的挑选提交
+   * @returns {boolean}
+   */
+  static isCherryPickInProgress() {
+    const gitDir = this.getGitDir();
+    return (
+      fs.existsSync(path.join(gitDir, "CHERRY_PICK_HEAD")) ||
+      fs.existsSync(path.join(gitDir, "sequencer"))
+    );
+  }
+
+  /**
+   * 解决冲突后继续挑选剩余提交（不打开编辑器）
+   */
+  static continueCherryPick() {
+    try {
+      this.execGitCommand(["cherry-pick", "--continue"], {
+        env: { ...process.env, GIT_EDITOR: "true" },
+      });
+    } catch (error) {
+      if (this.isCherryPickInProgress()) {
+        throw new ZhgitError(
+          "挑选提交时发生冲突，请手动解决冲突后继续",
+          ERROR_CODES.GIT_MERGE_CONFLICT,
+          { originalError: error.message, files: this.getConflictedFiles() }
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 放弃进行中的挑选提交
+   */
+  static abortCherryPick() {
+    this.execGitCommand(["cherry-pick", "--abort"]);
+  }
+
+  /**
+   * 将提交引用解析为完整哈希
+   * @param {string} ref - 提交哈希（可缩写）或引用
+   * @returns {string|null} 完整哈希，不存在时返回 null
+   */
+  static resolveCommit(ref) {
+    const result = spawnSync(
+      "git",
+      ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`],
+      { encoding: "utf8" }
+    );
+    return result.status === 0 ? result.stdout.trim() : null;
+  }
+
+  /**
+   * 检查提交是否为合并提交（有多个父提交）
+   * @param {string} hash - 提交哈希
+   * @returns {boolean}
+   */
+  static isMergeCommit(hash) {
+    const parents = this.execGitCommand([
+      "rev-list",
+      "--parents",
+      "-n",
+      "1",
+      hash,
+    ]);
+    return parents.split(" ").length > 2;
+  }
+
+  /**
+   * 获取单个提交的信息
+   * @param {string} hash - 提交哈希
+   * @returns {Object} { hash, message, author, email, date, body }
+   */
+  static getCommit(hash) {
+    const output = this.execGitCommand([
+      "show",
+      "-s",
+      COMMIT_FORMAT,
+      "--date=iso",
+      hash,
+    ]);
+    return parseCommit(output.replace(/\x1e$/, ""));
+  }
+
+  /**
+   * 中止进行中的合并、变基或挑选提交，并清理残留的冲突
+   * @param {string} tempBranch - 推送使用的合并分支，仅在该分支上清理压缩合并残留的冲突和暂存
+   */
+  static abortInProgressOperation(tempBranch = null) {
+    if (this.isMergeInProgress()) {
+      this.abortMerge();
+    }
+    if (this.isRebaseInProgress()) {
+      this.abortRebase();
+    }
+    if (this.isCherryPickInProgress()) {
+      this.abortCherryPick();
+    }
+    // 压缩合并冲突时没有 MERGE_HEAD，需要重置索引和工作区中的冲突
+    // 只在合并分支上重置，避免丢弃用户在自己分支上暂存的改动
+    if (
+      tempBranch &&
+      this.getCurrentBranch() === tempBranch &&
+      (this.hasConflicts() || this.hasStagedChanges())
+    ) {
+      this.execGitCommand(["reset", "--merge"]);
+    }
+  }
+
+  /**
+   * 检查 ancestor 是否为 ref 的祖先提交
+   * @param {string} ancestor - 祖先提交或分支
+   * @param {string} ref - 提交或分支，默认为 HEAD
+   * @returns {boolean}
+   */
+  static isAncestor(ancestor, ref = "HEAD") {
+    const result = spawnSync(
+      "git",
+      ["merge-base", "--is-ancestor", ancestor, ref],
+      { stdio: "ignore" }
+    );
+    return result.status === 0;
+  }
+
+  /**
+   * 删除本地分支
+   * @param {string} branchName - 分支名
+   * @param {boolean} force - 是否强制删除
+   */
+  static deleteBranch(branchName, force = false) {
+    this.execGitCommand(["branch", force ? "-D" : "-d", branchName]);
   }
 
   /**
    * 推送分支到远程
    * @param {string} branchName - 分支名
    * @param {boolean} setUpstream - 是否设置上游分支
+   * @param {string} remote - 远程仓库名
    */
-  static pushBranch(branchName, setUpstream = false) {
+  static pushBranch(branchName, setUpstream = false, remote = "origin") {
     const args = ["push"];
     if (setUpstream) {
       args.push("-u");
     }
-    args.push("origin", branchName);
+    args.push(remote, branchName);
 
     this.execGitCommand(args);
   }
 
+  /**
+   * 删除远程分支
+   * @param {string} branchName - 分支名
+   * @param {string} remote - 远程仓库名
+   */
+  static deleteRemoteBranch(branchName, remote = "origin") {
+    this.execGitCommand(["push", remote, "--delete", branchName]);
+  }
+
+  /**
+   * 检查远程仓库中是否存在分支（查询远程，不依赖本地的远程分支记录）
+   * @param {string} branchName - 分支名
+   * @param {string} remote - 远程仓库名
+   * @returns {boolean}
+   */
+  static remoteBranchExists(branchName, remote = "origin") {
+    const result = spawnSync(
+      "git",
+      ["ls-remote", "--exit-code", "--heads", remote, branchName],
+      { stdio: "ignore" }
+    );
+    return result.status === 0;
+  }
+
   /**
    * 获取两个分支之间的提交差异
    * @param {string} baseBranch - 基础分支
@@ -228,24 +693,37 @@ export class GitUtils {
    * @returns {Array} 提交列表
    */
   static getCommitsDiff(baseBranch, headBranch) {
-    const output = this.execGitCommand([
-      "log",
-      `${baseBranch}..${headBranch}`,
-      "--pretty=format:%H|%s|%an|%ae|%ad",
-      "--date=iso",
-    ]);
+    const output = this.execGitCommand(
+      ["log", `${baseBranch}..${headBranch}`, COMMIT_FORMAT, "--date=iso"],
+      { maxBuffer: 10 * 1024 * 1024 }
+    );
+
+    if (!output) return [];
+
+    return output
+      .split("\x1e")
+      .filter((record) => record.trim())
+      .map(parseCommit);
+  }
+
+  /**
+   * 获取 headBranch 相对于与 baseBranch 分叉点的改动文件
+   * @param {string} baseBranch - 基础分支
+   * @param {string} headBranch - 目标分支
+   * @returns {Array} [{ status, path }]，status 为 A/M/D/R 等
+   */
+  static getChangedFiles(baseBranch, headBranch) {
+    const output = this.execGitCommand(
+      ["diff", "--name-status", `${baseBranch}...${headBranch}`],
+      { maxBuffer: 10 * 1024 * 1024 }
+    );
 
     if (!output) return [];
 
     return output.split("\n").map((line) => {
-      const [hash, message, author, email, date] = line.split("|");
-      return {
-        hash,
-        message,
-        author,
-        email,
-        date: new Date(date),
-      };
+      const [status, ...paths] = line.split("\t");
+      // 重命名和复制时取新路径
+      return { status: status.charAt(0), path: paths[paths.length - 1] };
     });
   }
 
@@ -0,0 +1,107 @@
+import { RestClient } from "./restClient.js";
+
+/**
+ * Gitee REST API (v5) 客户端
+ * 仅实现 zhgit 用到的接口，PR 字段与 GitHub 基本一致
+ */
+export class GiteeClient extends RestClient {
+  static DEFAULT_BASE_URL = "https://gitee.com/api/v5";
+
+  /**
+   * @param {Object} options - { token, baseUrl, timeout }
+   *   baseUrl 可指向本地模拟服务，如 http://localhost:3000/api/v5
+   */
+  constructor({ token, baseUrl = GiteeClient.DEFAULT_BASE_URL, timeout }) {
+    super({ token, baseUrl, timeout, name: "Gitee" });
+  }
+
+  // Gitee v5 通过 access_token 参数认证
+  authorize(url) {
+    url.searchParams.set("access_token", this.token);
+  }
+
+  static repoPath(owner, repo) {
+    return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
+
+  /**
+   * 获取当前 Token 对应的用户
+   */
+  async getCurrentUser() {
+    const { data } = await this.request("GET", "/user");
+    return data;
+  }
+
+  /**
+   * 查找 head/base 相同的未关闭 PR
+   * @param {string} headOwner - 源分支所在 Fork 的所有者，与本仓库相同时省略
+   * @returns {Object|null} 已有 PR
+   */
+  async findOpenPullRequest(owner, repo, head, base, headOwner = null) {
+    const query = new URLSearchParams({
+      state: "open",
+      head: headOwner ? `${headOwner}:${head}` : head,
+      base,
+    });
+    const { data } = await this.request(
+      "GET",
+      `${GiteeClient.repoPath(owner, repo)}/pulls?${query}`
+    );
+    // 部分版本忽略 head 过滤条件，按分支和仓库再筛选一次
+    const headPath = `${headOwner || owner}/`;
+    return (
+      data.find(
+        (pull) =>
+          pull.head?.ref === head &&
+          pull.base?.ref === base &&
+          (!pull.head.repo?.full_name ||
+            pull.head.repo.full_name.startsWith(headPath))
+      ) || null
+    );
+  }
+
+  /**
+   * 创建 PR
+   * @param {Object} params - { owner, repo, title, body, head, base, draft, labels,
+   *   pruneSourceBranch }
+   */
+  async createPullRequest({
+    owner,
+    repo,
+    title,
+    body,
+    head,
+    base,
+    draft = false,
+    labels = [],
+    pruneSourceBranch = true,
+  }) {
+    const { data } = await this.request(
+      "POST",
+      `${GiteeClient.repoPath(owner, repo)}/pulls`,
+      {
+        title,
+        body,
+        head,
+        base,
+        draft,
+        labels: labels.join(","),
+        prune_source_branch: pruneSourceBranch,
+      }
+    );
+    return data;
+  }
+
+  /**
+   * 更新 PR 标题、描述和标签
+   * @param {Object} params - { owner, repo, number, title, body, labels }
+   */
+  async updatePullRequest({ owner, repo, number, title, body, labels = [] }) {
+    const { data } = await this.request(
+      "PATCH",
+      `${GiteeClient.repoPath(owner, repo)}/pulls/${number}`,
+      { title, body, labels: labels.join(",") }
+    );
+    return data;
+  }
+}
@@ -0,0 +1,80 @@
+import { HostingProvider } from "./hostingProvider.js";
+import { GiteeClient } from "./giteeClient.js";
+
+/**
+ * Gitee，基于 v5 API
+ */
+export class GiteeProvider extends HostingProvider {
+  static id = "gitee";
+  static displayName = "Gitee";
+  static publicHost = "gitee.com";
+  static defaultApiUrl = GiteeClient.DEFAULT_BASE_URL;
+  static apiPath = "/api/v5";
+  static supports = { ...HostingProvider.supports, forks: true };
+
+  constructor(options) {
+    super(options);
+    this.client = new GiteeClient({
+      token: this.token,
+      baseUrl: this.apiUrl,
+      timeout: options.timeout,
+    });
+  }
+
+  async getTokenInfo() {
+    const user = await this.client.getCurrentUser();
+
+    return {
+      username: user.login,
+      email: user.email,
+      // Gitee 没有查询 Token 权限范围的接口
+      scopes: [],
+      hasRequiredPermissions: true,
+    };
+  }
+
+  async findPullRequest(head, base, headRepository = null) {
+    return this.client.findOpenPullRequest(
+      this.owner,
+      this.repo,
+      head,
+      base,
+      headRepository?.owner
+    );
+  }
+
+  async createPullRequest({
+    title,
+    body,
+    head,
+    base,
+    draft,
+    labels,
+    removeSourceBranch,
+    headRepository = null,
+  }) {
+    return this.client.createPullRequest({
+      owner: this.owner,
+      repo: this.repo,
+      title,
+      body,
+      // 跨仓库 PR 的 head 为 username:branch
+      head: headRepository ? `${headRepository.owner}:${head}` : head,
+      base,
+      draft,
+      labels,
+      pruneSourceBranch: removeSourceBranch,
+    });
+  }
+
+  async updatePullRequest(number, { title, body, labels }) {
+    return this.client.updatePullRequest({
+      owner: this.owner,
+      repo: this.repo,
+      number,
+      title,
+      body,
+      labels,
+    });
+  }
+}
@@ -0,0 +1,340 @@
+import { Octokit } from "@octokit/rest";
+import fetch from "node-fetch";
+import { Logger } from "./index.js";
+import { HostingProvider } from "./hostingProvider.js";
+
+// 检查运行结论与状态的对应关系，未列出的结论均视为失败
+const CONCLUSION_STATES = {
+  success: "success",
+  neutral: "skipped",
+  skipped: "skipped",
+};
+
+/**
+ * GitHub 与 GitHub Enterprise Server，基于 Octokit
+ */
+export class GitHubProvider extends HostingProvider {
+  static id = "github";
+  static displayName = "GitHub";
+  static publicHost = "github.com";
+  static defaultApiUrl = "https://api.github.com";
+  static apiPath = "/api/v3";
+  static deviceFlow = {
+    codePath: "/login/device/code",
+    tokenPath: "/login/oauth/access_token",
+    scopes: ["repo", "workflow"],
+  };
+  static supports = {
+    reviewers: true,
+    assignees: true,
+    milestone: true,
+    checks: true,
+    merge: true,
+    forks: true,
+  };
+
+  /**
+   * 从 Token 的 x-oauth-scopes 响应头读取权限范围
+   * @param {Octokit} octokit - GitHub 客户端
+   */
+  static async checkTokenScopes(octokit) {
+    try {
+      // 通过一个简单的 API 调用来检查权限
+      const response = await octokit.request("GET /user");
+      const scopes = response.headers["x-oauth-scopes"] || "";
+      return scopes
+        .split(",")
+        .map((scope) => scope.trim())
+        .filter(Boolean);
+    } catch (error) {
+      Logger.debug(`检查 Token 权限失败: ${error.message}`);
+      return [];
+    }
+  }
+
+  static hasRequiredPermissions(scopes) {
+    // 检查是否有必要的权限
+    const requiredScopes = ["repo", "public_repo"];
+    return requiredScopes.some((required) =>
+      scopes.some((scope) => scope.includes(required))
+    );
+  }
+
+  constructor(options) {
+    super(options);
+    this.octokit = new Octokit({
+      auth: this.token,
+      baseUrl: this.apiUrl,
+      request: {
+        fetch: fetch,
+        timeout: options.timeout || 30000, // 默认 30 秒超时
+      },
+    });
+  }
+
+  get repository() {
+    return { owner: this.owner, repo: this.repo };
+  }
+
+  async getTokenInfo() {
+    const { data } = await this.octokit.users.getAuthenticated();
+
+    // 检查 Token 权限
+    const scopes = await GitHubProvider.checkTokenScopes(this.octokit);
+
+    return {
+      username: data.login,
+      email: data.email,
+      scopes: scopes,
+      hasRequiredPermissions: GitHubProvider.hasRequiredPermissions(scopes),
+    };
+  }
+
+  async getRateLimit() {
+    try {
+      const { data } = await this.octokit.rateLimit.get();
+      const { limit, remaining, reset } = data.resources.core;
+      return { limit, remaining, reset: new Date(reset * 1000) };
+    } catch (error) {
+      // 企业版未启用限流时返回 404
+      Logger.debug(`获取 API 额度失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getAuthenticatedLogin() {
+    if (!this.login) {
+      const { data } = await this.octokit.users.getAuthenticated();
+      this.login = data.login;
+    }
+    return this.login;
+  }
+
+  async findPullRequest(head, base, headRepository = null) {
+    const { data: pulls } = await this.octokit.pulls.list({
+      ...this.repository,
+      state: "open",
+      head: `${(headRepository || this).owner}:${head}`,
+      base,
+    });
+    return pulls[0] || null;
+  }
+
+  async listOpenPullRequests() {
+    return this.octokit.paginate(this.octokit.pulls.list, {
+      ...this.repository,
+      state: "open",
+      per_page: 100,
+    });
+  }
+
+  async getPullRequest(number) {
+    const { data } = await this.octokit.pulls.get({
+      ...this.repository,
+      pull_number: Number(number),
+    });
+    return data;
+  }
+
+  async createPullRequest({
+    title,
+    body,
+    head,
+    base,
+    draft,
+    labels = [],
+    headRepository = null,
+  }) {
+    const { data } = await this.octokit.pulls.create({
+      ...this.repository,
+      title,
+      body,
+      // 跨仓库 PR 的 head 为 fork-owner:branch
+      head: headRepository ? `${headRepository.owner}:${head}` : head,
+      base,
+      draft,
+    });
+    await this.addLabels(data.number, labels);
+    return data;
+  }
+
+  async updatePullRequest(number, { title, body, labels = [] }) {
+    const { data } = await this.octokit.pulls.update({
+      ...this.repository,
+      pull_number: number,
+      title,
+      body,
+    });
+    await this.addLabels(number, labels);
+    return data;
+  }
+
+  async addLabels(number, labels) {
+    if (labels.length > 0) {
+      await this.octokit.issues.addLabels({
+        ...this.repository,
+        issue_number: number,
+        labels,
+      });
+    }
+  }
+
+  async applyMetadata(
+    pullRequest,
+    { reviewers = [], assignees = [], milestone }
+  ) {
+    const issue = { ...this.repository, issue_number: pullRequest.number };
+
+    // 评审人：org/team 形式为团队评审，PR 作者不能作为评审人
+    const author = pullRequest.user?.login;
+    const userReviewers = reviewers.filter(
+      (name) => !name.includes("/") && name !== author
+    );
+    const teamReviewers = reviewers
+      .filter((name) => name.includes("/"))
+      .map((name) => name.split("/").pop());
+    if (userReviewers.length > 0 || teamReviewers.length > 0) {
+      await this.octokit.pulls.requestReviewers({
+        ...this.repository,
+        pull_number: pullRequest.number,
+        reviewers: userReviewers,
+        team_reviewers: teamReviewers,
+      });
+    }
+
+    if (assignees.length > 0) {
+      await this.octokit.issues.addAssignees({ ...issue, assignees });
+    }
+
+    let milestoneTitle = null;
+    if (milestone) {
+      const found = await this.findMilestone(milestone);
+      if (found) {
+        await this.octokit.issues.update({ ...issue, milestone: found.number });
+        milestoneTitle = found.title;
+      } else {
+        Logger.warn(`⚠️  未找到里程碑: ${milestone}`);
+      }
+    }
+
+    return {
+      reviewers: [
+        ...userReviewers,
+        ...reviewers.filter((name) => name.includes("/")),
+      ],
+      assignees,
+      milestone: milestoneTitle,
+      ignored: [],
+    };
+  }
+
+  /**
+   * 按标题或编号查找未关闭的里程碑
+   */
+  async findMilestone(milestone) {
+    const { data: milestones } = await this.octokit.issues.listMilestones({
+      ...this.repository,
+      state: "open",
+      per_page: 100,
+    });
+    return (
+      milestones.find(
+        (item) =>
+          item.title === String(milestone) ||
+          String(item.number) === String(milestone)
+      ) || null
+    );
+  }
+
+  /**
+   * 汇总提交状态 (Commit Status) 与检查运行 (Check Runs)
+   */
+  async getChecks(ref) {
+    const [{ data: combined }, checkRuns] = await Promise.all([
+      this.octokit.repos.getCombinedStatusForRef({ ...this.repository, ref }),
+      this.octokit.paginate(this.octokit.checks.listForRef, {
+        ...this.repository,
+        ref,
+        per_page: 100,
+      }),
+    ]);
+
+    const checks = new Map();
+
+    combined.statuses.forEach((status) => {
+      checks.set(status.context, {
+        name: status.context,
+        state:
+          status.state === "success" || status.state === "pending"
+            ? status.state
+            : "failure",
+        url: status.target_url,
+      });
+    });
+
+    // 同名检查重新运行时保留最新的一次
+    [...checkRuns]
+      .sort((a, b) => new Date(b.started_at) - new Date(a.started_at))
+      .forEach((run) => {
+        if (checks.has(run.name)) {
+          return;
+        }
+        checks.set(run.name, {
+          name: run.name,
+          state:
+            run.status === "completed"
+              ? CONCLUSION_STATES[run.conclusion] || "failure"
+              : "pending",
+          url: run.html_url,
+        });
+      });
+
+    return [...checks.values()];
+  }
+
+  /**
+   * 读取目标分支保护规则中的必需检查
+   */
+  async getRequiredChecks(branch) {
+    try {
+      const { data } = await this.octokit.repos.getStatusChecksProtection({
+        ...this.repository,
+        branch,
+      });
+      return [
+        ...new Set([
+          ...(data.contexts || []),
+          ...(data.checks || []).map((check) => check.context),
+        ]),
+      ];
+    } catch (error) {
+      // 未设置保护规则 (404) 或没有读取权限 (403)
+      Logger.debug(`读取分支保护规则失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  async enableAutoMerge(pullRequest, method) {
+    await this.octokit.graphql(
+      `mutation($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!) {
+        enablePullRequestAutoMerge(
+          input: { pullRequestId: $pullRequestId, mergeMethod: $mergeMethod }
+        ) {
+          clientMutationId
+        }
+      }`,
+      {
+        pullRequestId: pullRequest.node_id,
+        mergeMethod: method.toUpperCase(),
+      }
+    );
+  }
+
+  async mergePullRequest(number, method) {
+    await this.octokit.pulls.merge({
+      ...this.repository,
+      pull_number: number,
+      merge_method: method,
+    });
+  }
+}
@@ -0,0 +1,194 @@
+import { RestClient } from "./restClient.js";
+
+/**
+ * GitLab REST API (v4) 客户端
+ * 仅实现 zhgit 用到的接口，合并请求以 GitHub PR 的字段形式返回，便于与 GitHub 共用后续流程
+ */
+export class GitLabClient extends RestClient {
+  static DEFAULT_BASE_URL = "https://gitlab.com/api/v4";
+
+  /**
+   * @param {Object} options - { token, baseUrl, timeout }
+   *   baseUrl 可指向自建 GitLab 或本地模拟服务，如 http://localhost:3000/api/v4
+   */
+  constructor({ token, baseUrl = GitLabClient.DEFAULT_BASE_URL, timeout }) {
+    super({ token, baseUrl, timeout, name: "GitLab" });
+  }
+
+  authorize(url, headers) {
+    headers["PRIVATE-TOKEN"] = this.token;
+  }
+
+  /**
+   * 项目路径编码为 API 中的项目 ID，如 group/sub/app → group%2Fsub%2Fapp
+   */
+  static projectId(owner, repo) {
+    return encodeURIComponent(`${owner}/${repo}`);
+  }
+
+  /**
+   * 将合并请求转换为 GitHub PR 的字段
+   */
+  static toPullRequest(mergeRequest) {
+    return {
+      number: mergeRequest.iid,
+      title: mergeRequest.title,
+      body: mergeRequest.description || "",
+      html_url: mergeRequest.web_url,
+      draft: !!(mergeRequest.draft ?? mergeRequest.work_in_progress),
+      state: mergeRequest.state,
+      user: { login: mergeRequest.author?.username },
+      head: { ref: mergeRequest.source_branch, sha: mergeRequest.sha },
+      base: { ref: mergeRequest.target_branch },
+    };
+  }
+
+  /**
+   * 获取当前 Token 对应的用户
+   */
+  async getCurrentUser() {
+    const { data } = await this.request("GET", "/user");
+    return data;
+  }
+
+  /**
+   * 从响应头读取当前 Token 的 API 调用额度，未启用限流时返回 null
+   */
+  async getRateLimit() {
+    const { headers } = await this.request("GET", "/user");
+    const remaining = headers.get("ratelimit-remaining");
+    if (remaining === null) {
+      return null;
+    }
+    return {
+      limit: Number(headers.get("ratelimit-limit")),
+      remaining: Number(remaining),
+      reset: new Date(Number(headers.get("ratelimit-reset")) * 1000),
+    };
+  }
+
+  /**
+   * 获取当前 Token 的权限范围
+   * 只有个人/项目/群组访问令牌支持该接口，OAuth Token 等无法读取时返回 null
+   */
+  async getTokenScopes() {
+    try {
+      const { data } = await this.request(
+        "GET",
+        "/personal_access_tokens/self"
+      );
+      return data.scopes || [];
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 获取项目
+   */
+  async getProject(owner, repo) {
+    const { data } = await this.request(
+      "GET",
+      `/projects/${GitLabClient.projectId(owner, repo)}`
+    );
+    return data;
+  }
+
+  /**
+   * 查找源分支和目标分支相同的未关闭合并请求
+   * @param {number} sourceProjectId - 源分支所在 Fork 项目的 ID，与本项目相同时省略
+   * @returns {Object|null} PR 形式的合并请求
+   */
+  async findOpenMergeRequest(
+    owner,
+    repo,
+    sourceBranch,
+    targetBranch,
+    sourceProjectId = null
+  ) {
+    const query = new URLSearchParams({
+      state: "opened",
+      source_branch: sourceBranch,
+      target_branch: targetBranch,
+    });
+    const { data } = await this.request(
+      "GET",
+      `/projects/${GitLabClient.projectId(owner, repo)}/merge_requests?${query}`
+    );
+    const mergeRequest = data.find(
+      (item) => !sourceProjectId || item.source_project_id === sourceProjectId
+    );
+    return mergeRequest ? GitLabClient.toPullRequest(mergeRequest) : null;
+  }
+
+  /**
+   * 创建合并请求
+   * @param {Object} params - { owner, repo, title, description, sourceBranch, targetBranch,
+   *   removeSourceBranch, draft, labels, sourceProject }
+   *   sourceProject 为源分支所在的 Fork 项目 { owner, repo }，合并请求在 Fork 项目中发起
+   * @returns {Object} PR 形式的合并请求
+   */
+  async createMergeRequest({
+    owner,
+    repo,
+    title,
+    description,
+    sourceBranch,
+    targetBranch,
+    removeSourceBranch = true,
+    draft = false,
+    labels = [],
+    sourceProject = null,
+  }) {
+    const target = sourceProject ? await this.getProject(owner, repo) : null;
+    const project = sourceProject || { owner, repo };
+    const { data } = await this.request(
+      "POST",
+      `/projects/${GitLabClient.projectId(
+        project.owner,
+        project.repo
+      )}/merge_requests`,
+      {
+        target_project_id: target?.id,
+        source_branch: sourceBranch,
+        target_branch: targetBranch,
+        // GitLab 通过标题前缀标记草稿
+        title: draft ? `Draft: ${title}` : title,
+        description,
+        remove_source_branch: removeSourceBranch,
+        labels: labels.join(","),
+      }
+    );
+    return GitLabClient.toPullRequest(data);
+  }
+
+  /**
+   * 更新合并请求
+   * @param {Object} params - { owner, repo, number, title, description, draft, labels }
+   *   labels 为追加的标签
+   * @returns {Object} PR 形式的合并请求
+   */
+  async updateMergeRequest({
+    owner,
+    repo,
+    number,
+    title,
+    description,
+    draft = false,
+    labels = [],
+  }) {
+    const { data } = await this.request(
+      "PUT",
+      `/projects/${GitLabClient.projectId(
+        owner,
+        repo
+      )}/merge_requests/${number}`,
+      {
+        title: draft ? `Draft: ${title}` : title,
+        description,
+        add_labels: labels.join(","),
+      }
+    );
+    return GitLabClient.toPullRequest(data);
+  }
+}
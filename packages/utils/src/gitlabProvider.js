@@ -0,0 +1,99 @@
+import { HostingProvider } from "./hostingProvider.js";
+import { GitLabClient } from "./gitlabClient.js";
+
+/**
+ * GitLab（gitlab.com 与自建 GitLab），PR 对应合并请求 (Merge Request)
+ */
+export class GitLabProvider extends HostingProvider {
+  static id = "gitlab";
+  static displayName = "GitLab";
+  static publicHost = "gitlab.com";
+  static defaultApiUrl = GitLabClient.DEFAULT_BASE_URL;
+  static apiPath = "/api/v4";
+  static deviceFlow = {
+    codePath: "/oauth/authorize_device",
+    tokenPath: "/oauth/token",
+    scopes: ["api"],
+  };
+  static supports = { ...HostingProvider.supports, forks: true };
+
+  // GitLab 支持多级群组，owner 为完整的群组路径，如 group/subgroup
+  static parseRepository({ owner, repo }) {
+    return owner && repo ? { owner, repo } : null;
+  }
+
+  constructor(options) {
+    super(options);
+    this.client = new GitLabClient({
+      token: this.token,
+      baseUrl: this.apiUrl,
+      timeout: options.timeout,
+    });
+  }
+
+  async getTokenInfo() {
+    const user = await this.client.getCurrentUser();
+    const scopes = await this.client.getTokenScopes();
+
+    return {
+      username: user.username,
+      email: user.email || user.public_email,
+      scopes,
+      // 创建合并请求需要 api 权限，无法读取权限范围时为 null 表示未知
+      hasRequiredPermissions: scopes ? scopes.includes("api") : null,
+    };
+  }
+
+  async getRateLimit() {
+    return this.client.getRateLimit();
+  }
+
+  async findPullRequest(head, base, headRepository = null) {
+    const sourceProject = headRepository
+      ? await this.client.getProject(headRepository.owner, headRepository.repo)
+      : null;
+    return this.client.findOpenMergeRequest(
+      this.owner,
+      this.repo,
+      head,
+      base,
+      sourceProject?.id
+    );
+  }
+
+  async createPullRequest({
+    title,
+    body,
+    head,
+    base,
+    draft,
+    labels,
+    removeSourceBranch,
+    headRepository = null,
+  }) {
+    return this.client.createMergeRequest({
+      owner: this.owner,
+      repo: this.repo,
+      title,
+      description: body,
+      sourceBranch: head,
+      targetBranch: base,
+      removeSourceBranch,
+      draft,
+      labels,
+      sourceProject: headRepository,
+    });
+  }
+
+  async updatePullRequest(number, { title, body, draft, labels }) {
+    return this.client.updateMergeRequest({
+      owner: this.owner,
+      repo: this.repo,
+      number,
+      title,
+      description: body,
+      draft,
+      labels,
+    });
+  }
+}
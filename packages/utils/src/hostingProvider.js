@@ -0,0 +1,215 @@
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+
+/**
+ * 代码托管平台（GitHub、GitLab、Gitee 等）的接口基类
+ *
+ * 每个平台实现一个子类，实例绑定到一个仓库 (owner/repo)。PR 统一使用 GitHub 的字段:
+ * { number, title, body, html_url, draft, state, merged, mergeable, mergeable_state,
+ *   node_id, user: { login }, head: { ref, sha }, base: { ref } }，平台没有的字段可省略。
+ *
+ * 第三方平台以 npm 包提供，默认导出继承本类的子类，并在偏好设置的 providers 中登记包名
+ */
+export class HostingProvider {
+  // 平台标识，如 github，用于 hosts 配置中的 platform 字段
+  static id = "";
+  static displayName = "";
+  // 公共站点主机名，如 github.com
+  static publicHost = null;
+  static defaultApiUrl = "";
+  // 企业版/自建站点的 API 路径，apiUrl 默认为 https://<主机> 加该路径
+  static apiPath = "";
+  // OAuth 设备授权流程的端点路径（相对于站点地址）和默认权限范围，null 表示不支持
+  static deviceFlow = null;
+  // 平台支持的可选功能
+  static supports = {
+    reviewers: false,
+    assignees: false,
+    milestone: false,
+    checks: false,
+    merge: false,
+    // 从 Fork 仓库向本仓库创建 PR
+    forks: false,
+  };
+
+  /**
+   * 从远程仓库路径解析 owner 和 repo，默认只支持 owner/repo 两级路径
+   * @param {Object} path - { owner, repo }，owner 为仓库名之前的完整路径
+   * @returns {Object|null} { owner, repo }，路径不合法时返回 null
+   */
+  static parseRepository({ owner, repo }) {
+    return owner && repo && !owner.includes("/") ? { owner, repo } : null;
+  }
+
+  /**
+   * @param {Object} options - { token, apiUrl, owner, repo }
+   *   只验证 Token 时可以不指定 owner 和 repo
+   */
+  constructor({ token, apiUrl, owner = null, repo = null }) {
+    this.token = token;
+    this.apiUrl = apiUrl || this.constructor.defaultApiUrl;
+    this.owner = owner;
+    this.repo = repo;
+  }
+
+  get displayName() {
+    return this.constructor.displayName;
+  }
+
+  unsupported(operation) {
+    return new ZhgitError(
+      `${this.displayName} 暂不支持${operation}`,
+      ERROR_CODES.INVALID_INPUT
+    );
+  }
+
+  /**
+   * 获取 Token 对应的用户信息，验证 Token 时调用
+   * 无法读取权限范围时 scopes 和 hasRequiredPermissions 为 null
+   * @returns {Object} { username, email, scopes, hasRequiredPermissions }
+   */
+  async getTokenInfo() {
+    throw this.unsupported("验证 Token");
+  }
+
+  /**
+   * 验证 Token
+   * @returns {Object} { valid, username, email, scopes, hasRequiredPermissions } 或 { valid: false, error }
+   */
+  async validateToken() {
+    try {
+      return { valid: true, ...(await this.getTokenInfo()) };
+    } catch (error) {
+      const status = error.status ?? error.details?.status;
+      let errorMessage = error.message;
+      if (status === 401) {
+        errorMessage = "Token 无效或已过期";
+      } else if (status === 403) {
+        errorMessage = "Token 权限不足";
+      } else if (error.code === "ETIMEDOUT") {
+        errorMessage = "网络连接超时";
+      }
+      return { valid: false, error: errorMessage };
+    }
+  }
+
+  /**
+   * 获取当前 Token 的 API 调用额度
+   * @returns {Object|null} { limit, remaining, reset }，reset 为额度重置时间 (Date)，
+   *   平台不提供或未启用限流时返回 null
+   */
+  async getRateLimit() {
+    return null;
+  }
+
+  /**
+   * 获取当前 Token 对应的登录名
+   */
+  async getAuthenticatedLogin() {
+    if (!this.login) {
+      this.login = (await this.getTokenInfo()).username;
+    }
+    return this.login;
+  }
+
+  /**
+   * 查找 head/base 相同的未关闭 PR
+   * @param {string} head - 源分支
+   * @param {string} base - 目标分支
+   * @param {Object|null} headRepository - 源分支所在的 Fork 仓库 { owner, repo }，
+   *   null 表示与本仓库相同
+   * @returns {Object|null}
+   */
+  async findPullRequest(head, base, headRepository = null) {
+    throw this.unsupported("查找 PR");
+  }
+
+  /**
+   * 列出全部未关闭的 PR
+   * @returns {Array}
+   */
+  async listOpenPullRequests() {
+    throw this.unsupported("列出 PR");
+  }
+
+  /**
+   * 获取 PR
+   * @param {number} number - PR 编号
+   */
+  async getPullRequest(number) {
+    throw this.unsupported("查询 PR");
+  }
+
+  /**
+   * 创建 PR
+   * @param {Object} params - { title, body, head, base, draft, labels, removeSourceBranch,
+   *   headRepository }
+   *   removeSourceBranch 表示合并后删除源分支，平台不支持时忽略；
+   *   headRepository 为源分支所在的 Fork 仓库 { owner, repo }，仅 supports.forks 时传入
+   */
+  async createPullRequest(params) {
+    throw this.unsupported("创建 PR");
+  }
+
+  /**
+   * 更新 PR 标题和描述，并追加标签
+   * @param {number} number - PR 编号
+   * @param {Object} params - { title, body, draft, labels }
+   */
+  async updatePullRequest(number, params) {
+    throw this.unsupported("更新 PR");
+  }
+
+  /**
+   * 设置评审人、指派人和里程碑，平台不支持的元数据会被忽略
+   * @param {Object} pullRequest - PR
+   * @param {Object} metadata - { reviewers, assignees, milestone }
+   * @returns {Object} 实际设置的元数据 { reviewers, assignees, milestone, ignored }，
+   *   ignored 为被忽略的元数据名称
+   */
+  async applyMetadata(
+    pullRequest,
+    { reviewers = [], assignees = [], milestone }
+  ) {
+    const ignored = [
+      reviewers.length > 0 && "评审人",
+      assignees.length > 0 && "指派人",
+      milestone && "里程碑",
+    ].filter(Boolean);
+    return { reviewers: [], assignees: [], milestone: null, ignored };
+  }
+
+  /**
+   * 获取提交上的全部检查
+   * @param {string} ref - 提交
+   * @returns {Array} [{ name, state, url }]，state 为 pending | success | skipped | failure
+   */
+  async getChecks(ref) {
+    throw this.unsupported("查询检查状态");
+  }
+
+  /**
+   * 获取目标分支的必需检查
+   * @returns {string[]|null} 必需检查名，null 表示全部必需
+   */
+  async getRequiredChecks(branch) {
+    return null;
+  }
+
+  /**
+   * 开启平台的自动合并
+   * @param {Object} pullRequest - PR
+   * @param {string} method - merge | squash | rebase
+   */
+  async enableAutoMerge(pullRequest, method) {
+    throw this.unsupported("自动合并");
+  }
+
+  /**
+   * 合并 PR
+   * @param {number} number - PR 编号
+   * @param {string} method - merge | squash | rebase
+   */
+  async mergePullRequest(number, method) {
+    throw this.unsupported("合并 PR");
+  }
+}
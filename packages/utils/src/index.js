@@ -10,6 +10,26 @@ import {
   safeExecute,
 } from "./errorHandler.js";
 import { CommitAnalyzer } from "./commitAnalyzer.js";
+import { TargetPolicy } from "./targetPolicy.js";
+import { ChecksWatcher } from "./checksWatcher.js";
+import { PRTemplate } from "./prTemplate.js";
+import { TemplateEngine } from "./templateEngine.js";
+import { RestClient } from "./restClient.js";
+import { GitLabClient } from "./gitlabClient.js";
+import { GiteeClient } from "./giteeClient.js";
+import { HostingProvider } from "./hostingProvider.js";
+import { GitHubProvider } from "./githubProvider.js";
+import { ProviderRegistry } from "./providerRegistry.js";
+import { RemoteUrl } from "./remoteUrl.js";
+import { PreferenceSchema } from "./preferenceSchema.js";
+import { AccountStatus } from "./accountStatus.js";
+import { DeviceFlow } from "./deviceFlow.js";
+import {
+  CredentialStore,
+  KeytarStore,
+  EncryptedFileStore,
+  EnvStore,
+} from "./credentialStore.js";
 
 class Logger {
   static info(message) {
@@ -46,4 +66,22 @@ export {
   shouldRetryNetworkError,
   safeExecute,
   CommitAnalyzer,
+  TargetPolicy,
+  ChecksWatcher,
+  PRTemplate,
+  TemplateEngine,
+  RestClient,
+  GitLabClient,
+  GiteeClient,
+  HostingProvider,
+  GitHubProvider,
+  ProviderRegistry,
+  RemoteUrl,
+  PreferenceSchema,
+  AccountStatus,
+  DeviceFlow,
+  CredentialStore,
+  KeytarStore,
+  EncryptedFileStore,
+  EnvStore,
 };
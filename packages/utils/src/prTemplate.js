@@ -0,0 +1,140 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { GitUtils } from "./gitUtils.js";
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+import { TemplateEngine } from "./templateEngine.js";
+
+// 与 GitHub 相同的模板查找位置，按优先级排列
+const TEMPLATE_DIRS = [".github", "", "docs"];
+const TEMPLATE_NAME = "pull_request_template";
+// 自定义模板，相对仓库根目录或用户主目录
+const CUSTOM_TEMPLATE_FILE = path.join(".zhgit", "pr-template.md");
+
+/**
+ * PR 模板
+ * 支持仓库的 GitHub PR 模板：单个模板文件 (pull_request_template.md) 与
+ * PULL_REQUEST_TEMPLATE/ 目录下的多个命名模板；
+ * 以及 zhgit 自定义模板 (.zhgit/pr-template.md)，使用 TemplateEngine 渲染 PR 标题和描述
+ */
+export class PRTemplate {
+  /**
+   * 查找仓库中的 PR 模板，文件名不区分大小写
+   * @param {string} repoRoot - 仓库根目录，默认为当前仓库
+   * @returns {Object} { defaultTemplate, named: { [name]: path } }
+   */
+  static find(repoRoot = GitUtils.getRepoRoot()) {
+    let defaultTemplate = null;
+    const named = {};
+
+    TEMPLATE_DIRS.forEach((dir) => {
+      const base = path.join(repoRoot, dir);
+      let entries;
+      try {
+        entries = fs.readdirSync(base, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      entries.forEach((entry) => {
+        const lower = entry.name.toLowerCase();
+        if (entry.isFile() && lower === `${TEMPLATE_NAME}.md`) {
+          defaultTemplate = defaultTemplate || path.join(base, entry.name);
+        }
+        if (entry.isDirectory() && lower === TEMPLATE_NAME) {
+          fs.readdirSync(path.join(base, entry.name))
+            .filter((file) => file.toLowerCase().endsWith(".md"))
+            .forEach((file) => {
+              const name = file.replace(/\.md$/i, "");
+              named[name] = named[name] || path.join(base, entry.name, file);
+            });
+        }
+      });
+    });
+
+    return { defaultTemplate, named };
+  }
+
+  /**
+   * 读取 PR 模板内容
+   * 指定名称时从命名模板中查找，否则使用默认模板；
+   * 只有一个命名模板时也作为默认模板
+   * @param {string|null} name - 模板名（可带 .md 后缀）
+   * @returns {string|null} 模板内容，仓库没有模板时返回 null
+   */
+  static load(name = null) {
+    const { defaultTemplate, named } = this.find();
+
+    let templatePath;
+    if (name) {
+      templatePath = named[name.replace(/\.md$/i, "")];
+      if (!templatePath) {
+        const available = Object.keys(named);
+        throw new ZhgitError(
+          `找不到 PR 模板 "${name}"${
+            available.length > 0 ? `，可用模板: ${available.join(", ")}` : ""
+          }`,
+          ERROR_CODES.INVALID_INPUT,
+          { available }
+        );
+      }
+    } else {
+      const namedPaths = Object.values(named);
+      templatePath =
+        defaultTemplate || (namedPaths.length === 1 ? namedPaths[0] : null);
+    }
+
+    return templatePath
+      ? fs.readFileSync(templatePath, "utf8").replace(/\r\n/g, "\n")
+      : null;
+  }
+
+  /**
+   * 读取 zhgit 自定义模板，仓库模板优先于用户模板，读取时即检查模板语法
+   * 模板开头可用 front matter 定义标题模板:
+   * ---
+   * title: {{firstCommit.message}} → {{targetBranch}}
+   * ---
+   * @returns {Object|null} { path, title, body }，都不存在时返回 null
+   */
+  static loadCustom() {
+    const candidates = [];
+    try {
+      candidates.push(path.join(GitUtils.getRepoRoot(), CUSTOM_TEMPLATE_FILE));
+    } catch {
+      // 不在仓库中时只使用用户模板
+    }
+    candidates.push(path.join(os.homedir(), CUSTOM_TEMPLATE_FILE));
+
+    const templatePath = candidates.find((file) => fs.existsSync(file));
+    if (!templatePath) {
+      return null;
+    }
+
+    const content = fs
+      .readFileSync(templatePath, "utf8")
+      .replace(/\r\n/g, "\n");
+    const frontMatter = content.match(/^---\n([\s\S]*?)\n---\n/);
+    const title = frontMatter?.[1]
+      .split("\n")
+      .map((line) => line.match(/^title:\s*(.*)$/))
+      .find(Boolean);
+    const template = {
+      path: templatePath,
+      title: title ? title[1].replace(/^(["'])(.*)\1$/, "$2") : null,
+      body: frontMatter ? content.slice(frontMatter[0].length) : content,
+    };
+
+    try {
+      TemplateEngine.parse(template.body);
+      TemplateEngine.parse(template.title || "");
+    } catch (error) {
+      throw new ZhgitError(
+        `${error.message} (${templatePath})`,
+        ERROR_CODES.CONFIG_INVALID,
+        { filePath: templatePath }
+      );
+    }
+    return template;
+  }
+}
@@ -0,0 +1,215 @@
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  on: true,
+  1: true,
+  false: false,
+  no: false,
+  off: false,
+  0: false,
+};
+
+/**
+ * 可通过 zhgit config set/get/unset/list 管理的偏好设置
+ * 键为点分路径，对应偏好设置对象中的嵌套字段，如 pr.draft 对应 { pr: { draft } }
+ * type 为 string | boolean | number | list | enum，list 在命令行中以逗号分隔
+ * globalOnly 的配置项只能在用户偏好设置中设置，仓库配置中的值被忽略
+ */
+const SCHEMA = {
+  "push.defaultBase": {
+    type: "string",
+    description: "zhgit push 未指定目标分支时推送到的分支",
+  },
+  "push.strategy": {
+    type: "enum",
+    values: ["merge", "rebase", "squash"],
+    default: "merge",
+    description: "合并目标分支的默认策略，目标分支配置的 strategy 优先",
+  },
+  "pr.draft": {
+    type: "boolean",
+    default: false,
+    description: "默认创建草稿 PR",
+  },
+  "pr.reviewers": { type: "list", description: "默认评审人" },
+  "pr.assignees": { type: "list", description: "默认指派人，@me 表示自己" },
+  "pr.labels": { type: "list", description: "默认标签" },
+  "pr.autoLabels": {
+    type: "boolean",
+    default: true,
+    description: "根据提交类型自动添加 type:* 标签",
+  },
+  "pr.template": {
+    type: "string",
+    description: "默认使用的 PULL_REQUEST_TEMPLATE/ 模板名",
+  },
+  "remotes.push": {
+    type: "string",
+    default: "origin",
+    description: "推送合并分支的远程仓库",
+  },
+  "remotes.base": {
+    type: "string",
+    default: "origin",
+    description: "拉取目标分支并创建 PR 的远程仓库",
+  },
+  "checks.timeout": {
+    type: "number",
+    default: 1800,
+    description: "等待 CI 检查的超时时间（秒）",
+  },
+  "checks.interval": {
+    type: "number",
+    default: 10,
+    description: "查询 CI 检查状态的间隔（秒）",
+  },
+  "credentials.store": {
+    type: "enum",
+    values: ["auto", "keytar", "file", "env"],
+    default: "auto",
+    globalOnly: true,
+    description:
+      "Token 存储后端，auto 时优先使用系统密钥库，不可用时使用加密文件，只能全局设置",
+  },
+  locale: {
+    type: "enum",
+    values: ["zh-CN", "en-US"],
+    default: "zh-CN",
+    description: "日期等内容的显示语言",
+  },
+};
+
+/**
+ * 偏好设置的键定义、取值校验与嵌套字段读写
+ */
+export class PreferenceSchema {
+  static get keys() {
+    return Object.keys(SCHEMA);
+  }
+
+  /**
+   * 获取键定义，未知的键抛出错误
+   * @param {string} key - 点分路径，如 pr.draft
+   */
+  static get(key) {
+    if (!Object.hasOwn(SCHEMA, key)) {
+      throw new ZhgitError(
+        `未知的配置项: ${key}，可选: ${this.keys.join(", ")}`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+    return { key, ...SCHEMA[key] };
+  }
+
+  /**
+   * 将命令行输入的字符串转换为配置项的类型
+   * @param {string} key - 配置项
+   * @param {string} input - 命令行输入
+   * @returns {*} 转换后的值
+   */
+  static parse(key, input) {
+    const definition = this.get(key);
+    const raw = String(input ?? "").trim();
+    const invalid = (expected) =>
+      new ZhgitError(
+        `配置项 ${key} 的值 "${raw}" 无效，应为${expected}`,
+        ERROR_CODES.INVALID_INPUT
+      );
+
+    switch (definition.type) {
+      case "boolean": {
+        const value = BOOLEAN_VALUES[raw.toLowerCase()];
+        if (value === undefined) {
+          throw invalid(" true 或 false");
+        }
+        return value;
+      }
+      case "number": {
+        const value = Number(raw);
+        if (!raw || !Number.isFinite(value) || value <= 0) {
+          throw invalid("正数");
+        }
+        return value;
+      }
+      case "list":
+        return raw
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+      case "enum":
+        if (!definition.values.includes(raw)) {
+          throw invalid(`: ${definition.values.join(" | ")}`);
+        }
+        return raw;
+      default:
+        if (!raw) {
+          throw invalid("非空字符串");
+        }
+        return raw;
+    }
+  }
+
+  /**
+   * 格式化配置值用于显示
+   */
+  static format(value) {
+    if (value === undefined) {
+      return "(未设置)";
+    }
+    return Array.isArray(value) ? value.join(",") : String(value);
+  }
+
+  /**
+   * 读取嵌套字段
+   * @param {Object} object - 偏好设置
+   * @param {string} key - 点分路径
+   */
+  static getValue(object, key) {
+    return key
+      .split(".")
+      .reduce(
+        (value, name) =>
+          value && typeof value === "object" ? value[name] : undefined,
+        object
+      );
+  }
+
+  /**
+   * 写入嵌套字段，中间对象不存在时创建
+   */
+  static setValue(object, key, value) {
+    const names = key.split(".");
+    const last = names.pop();
+    const parent = names.reduce((current, name) => {
+      if (!current[name] || typeof current[name] !== "object") {
+        current[name] = {};
+      }
+      return current[name];
+    }, object);
+    parent[last] = value;
+    return object;
+  }
+
+  /**
+   * 删除嵌套字段，并移除因此变为空的父对象
+   * @returns {boolean} 字段是否存在
+   */
+  static unsetValue(object, key) {
+    const [name, ...rest] = key.split(".");
+    if (!object || typeof object !== "object" || !Object.hasOwn(object, name)) {
+      return false;
+    }
+    if (rest.length === 0) {
+      delete object[name];
+      return true;
+    }
+
+    const removed = this.unsetValue(object[name], rest.join("."));
+    if (removed && Object.keys(object[name]).length === 0) {
+      delete object[name];
+    }
+    return removed;
+  }
+}
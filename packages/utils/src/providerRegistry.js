@@ -0,0 +1,158 @@
+import fs from "fs";
+import path from "path";
+import { execSync } from "child_process";
+import { pathToFileURL } from "node:url";
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+import { GitHubProvider } from "./githubProvider.js";
+import { GitLabProvider } from "./gitlabProvider.js";
+import { GiteeProvider } from "./giteeProvider.js";
+
+const providers = new Map();
+const loadedPackages = new Set();
+
+/**
+ * 托管平台注册表
+ * 内置 GitHub、GitLab、Gitee，第三方平台通过 npm 包加载
+ */
+export class ProviderRegistry {
+  /**
+   * 注册托管平台，同名平台会被覆盖
+   * @param {Function} Provider - HostingProvider 子类
+   */
+  static register(Provider) {
+    if (
+      typeof Provider !== "function" ||
+      !Provider.id ||
+      typeof Provider.prototype.createPullRequest !== "function"
+    ) {
+      throw new ZhgitError(
+        "托管平台必须是带有静态 id 的 HostingProvider 子类",
+        ERROR_CODES.CONFIG_INVALID
+      );
+    }
+    providers.set(Provider.id, Provider);
+  }
+
+  /**
+   * 按平台标识获取托管平台
+   * @param {string} id - 平台标识，如 github
+   */
+  static get(id) {
+    const Provider = providers.get(id);
+    if (!Provider) {
+      throw new ZhgitError(
+        `不支持的平台: ${id}，可选: ${this.ids().join(", ")}`,
+        ERROR_CODES.CONFIG_INVALID
+      );
+    }
+    return Provider;
+  }
+
+  static ids() {
+    return [...providers.keys()];
+  }
+
+  /**
+   * 按主机名查找托管平台
+   * 先匹配各平台的公共站点，其次为 hosts 中登记的企业版主机（platform 默认为 github）
+   * @param {string} host - 主机名
+   * @param {Object} hosts - 企业版/自建主机配置
+   * @returns {Function|null}
+   */
+  static forHost(host, hosts = {}) {
+    const Provider = [...providers.values()].find(
+      (item) => item.publicHost === host
+    );
+    if (Provider) {
+      return Provider;
+    }
+    return hosts[host] ? this.get(hosts[host].platform || "github") : null;
+  }
+
+  /**
+   * 加载第三方托管平台 npm 包，包的默认导出为 HostingProvider 子类
+   * @param {string[]} names - 包名列表
+   */
+  static async load(names = []) {
+    for (const name of names) {
+      if (loadedPackages.has(name)) {
+        continue;
+      }
+      try {
+        const module = await this.importPackage(name);
+        this.register(module.default || module.Provider);
+        loadedPackages.add(name);
+      } catch (error) {
+        throw new ZhgitError(
+          `加载托管平台 ${name} 失败: ${error.message}`,
+          ERROR_CODES.CONFIG_INVALID,
+          { package: name }
+        );
+      }
+    }
+  }
+
+  /**
+   * 导入 npm 包，优先为 zhgit 可访问的包（如与 zhgit 一起全局安装），其次为 npm 全局目录中的包
+   * 不从当前仓库的依赖中查找，避免克隆的仓库通过 node_modules 执行代码
+   */
+  static async importPackage(name) {
+    try {
+      return await import(name);
+    } catch (error) {
+      if (error.code !== "ERR_MODULE_NOT_FOUND") {
+        throw error;
+      }
+      const root = this.getGlobalRoot();
+      const entry = root && this.resolvePackage(name, root);
+      if (!entry) {
+        throw error;
+      }
+      return import(pathToFileURL(entry).href);
+    }
+  }
+
+  /**
+   * npm 全局安装目录，无法获取时返回 null
+   */
+  static getGlobalRoot() {
+    try {
+      return execSync("npm root -g", {
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trim();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 从目录向上查找 node_modules 中的包，返回 ESM 入口文件
+   * 按 exports 的 import/default 条件、main、index.js 的顺序确定入口
+   * @returns {string|null} 入口文件路径，未安装时返回 null
+   */
+  static resolvePackage(name, base) {
+    for (let dir = base; ; dir = path.dirname(dir)) {
+      const packageDir = path.join(dir, "node_modules", name);
+      const manifestPath = path.join(packageDir, "package.json");
+      if (fs.existsSync(manifestPath)) {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        let entry = manifest.exports?.["."] ?? manifest.exports;
+        if (entry && typeof entry === "object") {
+          entry = entry.import ?? entry.default;
+        }
+        return path.join(
+          packageDir,
+          typeof entry === "string" ? entry : manifest.main || "index.js"
+        );
+      }
+      if (path.dirname(dir) === dir) {
+        return null;
+      }
+    }
+  }
+}
+
+[GitHubProvider, GitLabProvider, GiteeProvider].forEach((Provider) =>
+  ProviderRegistry.register(Provider)
+);
@@ -0,0 +1,244 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// URL 形式地址支持的协议，git+ssh、ssh+git 为 ssh 的别名
+const PROTOCOLS = {
+  ssh: "ssh",
+  "git+ssh": "ssh",
+  "ssh+git": "ssh",
+  git: "git",
+  http: "http",
+  https: "https",
+};
+
+/**
+ * Git 远程仓库地址解析
+ * 支持 URL 形式（https://、ssh://、git://）和 scp 形式（git@host:owner/repo），
+ * 以及 url.<base>.insteadOf 改写和 ~/.ssh/config 中的 Host 别名
+ */
+export class RemoteUrl {
+  static SSH_CONFIG_FILE = path.join(os.homedir(), ".ssh", "config");
+
+  /**
+   * 解析远程仓库地址
+   * @param {string} url - 远程仓库地址
+   * @param {Object} options - { rewrites, sshHosts }
+   *   rewrites 为 insteadOf 改写规则 [{ base, insteadOf }]，
+   *   sshHosts 为 parseSshConfig 的结果，用于解析 SSH Host 别名
+   * @returns {Object|null} { protocol, user, host, port, path, owner, repo, url }，
+   *   无法识别时返回 null。port 未指定时为 null，owner 为仓库名之前的完整路径，
+   *   url 为改写后的地址，HTTP(S) 地址中的认证信息已隐去
+   */
+  static parse(url, { rewrites = [], sshHosts = [] } = {}) {
+    const rewritten = this.rewrite(String(url || "").trim(), rewrites);
+    const remote = this.parseUrl(rewritten) || this.parseScp(rewritten);
+    if (!remote || !remote.host) {
+      return null;
+    }
+
+    if (remote.protocol === "ssh") {
+      // 地址中显式指定的端口和用户优先于 SSH 配置
+      const alias = this.resolveSshHost(remote.host, sshHosts);
+      remote.host = (alias.hostName || remote.host).toLowerCase();
+      remote.port = remote.port ?? alias.port ?? null;
+      remote.user = remote.user ?? alias.user ?? null;
+    }
+
+    const repoPath = remote.path
+      .replace(/^\/+/, "")
+      .replace(/^~[^/]*\//, "")
+      .replace(/\/+$/, "")
+      .replace(/\.git$/, "");
+    const segments = repoPath.split("/").filter(Boolean);
+    const repo = segments.pop();
+    const owner = segments.join("/");
+    if (!owner || !repo) {
+      return null;
+    }
+
+    return {
+      ...remote,
+      path: `${owner}/${repo}`,
+      owner,
+      repo,
+      url: this.redact(rewritten),
+    };
+  }
+
+  /**
+   * 解析 URL 形式的地址，如 ssh://git@host:2222/owner/repo.git
+   */
+  static parseUrl(url) {
+    const match = url.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+    const protocol = match && PROTOCOLS[match[1].toLowerCase()];
+    if (!protocol) {
+      return null;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    return {
+      protocol,
+      user: parsed.username ? decodeURIComponent(parsed.username) : null,
+      host: parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase(),
+      port: parsed.port ? Number(parsed.port) : null,
+      path: this.decodePath(parsed.pathname),
+    };
+  }
+
+  /**
+   * 解析 scp 形式的地址，如 git@github.com:owner/repo.git
+   * 与 Git 的规则一致：第一个斜杠之前出现冒号时视为 scp 形式，否则为本地路径
+   */
+  static parseScp(url) {
+    const match = url.match(/^(?:([^@/]+)@)?(\[[^\]]+\]|[^:/]+):(.*)$/);
+    // 单个字母的主机名为 Windows 盘符，如 C:/repos/app
+    if (!match || url.includes("://") || /^[a-z]$/i.test(match[2])) {
+      return null;
+    }
+
+    return {
+      protocol: "ssh",
+      user: match[1] || null,
+      host: match[2].replace(/^\[|\]$/g, "").toLowerCase(),
+      port: null,
+      path: match[3],
+    };
+  }
+
+  static decodePath(pathname) {
+    try {
+      return decodeURIComponent(pathname);
+    } catch {
+      return pathname;
+    }
+  }
+
+  /**
+   * 按 url.<base>.insteadOf 规则改写地址，多条规则匹配时使用最长的前缀
+   * @param {string} url - 远程仓库地址
+   * @param {Array} rewrites - [{ base, insteadOf }]
+   */
+  static rewrite(url, rewrites = []) {
+    const rule = rewrites
+      .filter(({ insteadOf }) => insteadOf && url.startsWith(insteadOf))
+      .sort((a, b) => b.insteadOf.length - a.insteadOf.length)[0];
+    return rule ? rule.base + url.slice(rule.insteadOf.length) : url;
+  }
+
+  /**
+   * 隐去 HTTP(S) 地址中的用户名和密码（可能为 Token）
+   */
+  static redact(url) {
+    return url.replace(/^(https?:\/\/)[^@/]+@/i, "$1***@");
+  }
+
+  /**
+   * 解析 SSH 配置文件内容
+   * 只处理 Host 块中的 HostName、Port、User，Match 块会被跳过
+   * @param {string} content - 配置文件内容
+   * @returns {Array} [{ patterns, options: { hostname, port, user } }]
+   */
+  static parseSshConfig(content = "") {
+    // 第一个 Host 之前的配置对所有主机生效
+    const entries = [{ patterns: ["*"], options: {} }];
+    let current = entries[0];
+
+    content.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith("#")) {
+        return;
+      }
+
+      const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.+)$/);
+      if (!match) {
+        return;
+      }
+      const key = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (key === "host") {
+        current = {
+          patterns: value
+            .split(/\s+/)
+            .map((pattern) => pattern.replace(/^"|"$/g, "")),
+          options: {},
+        };
+        entries.push(current);
+      } else if (key === "match") {
+        current = null;
+      } else if (current && ["hostname", "port", "user"].includes(key)) {
+        // 同一块中重复的选项以第一次出现为准
+        current.options[key] ??= value.replace(/^"|"$/g, "");
+      }
+    });
+
+    return entries.filter((entry) => Object.keys(entry.options).length > 0);
+  }
+
+  /**
+   * 按 SSH 的规则解析主机别名：依次匹配各 Host 块，每个选项取第一次匹配到的值
+   * @param {string} host - 地址中的主机名或别名
+   * @param {Array} entries - parseSshConfig 的结果
+   * @returns {Object} { hostName, port, user }，未配置的选项为 undefined
+   */
+  static resolveSshHost(host, entries = []) {
+    const options = {};
+    entries
+      .filter(({ patterns }) => this.matchHostPatterns(host, patterns))
+      .forEach((entry) => {
+        Object.entries(entry.options).forEach(([key, value]) => {
+          options[key] ??= value;
+        });
+      });
+
+    return {
+      hostName: options.hostname?.replace(/%h/g, host),
+      port: options.port ? Number(options.port) : undefined,
+      user: options.user,
+    };
+  }
+
+  /**
+   * 匹配 Host 模式，支持 * 和 ? 通配符，! 开头的模式匹配时排除该主机
+   */
+  static matchHostPatterns(host, patterns) {
+    const test = (pattern) =>
+      new RegExp(
+        `^${pattern
+          .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, ".*")
+          .replace(/\?/g, ".")}$`,
+        "i"
+      ).test(host);
+
+    if (
+      patterns.some(
+        (pattern) => pattern.startsWith("!") && test(pattern.slice(1))
+      )
+    ) {
+      return false;
+    }
+    return patterns.some(
+      (pattern) => !pattern.startsWith("!") && test(pattern)
+    );
+  }
+
+  /**
+   * 读取 SSH 配置文件，不存在或无法读取时返回空配置
+   * @param {string} file - 配置文件路径，默认为 ~/.ssh/config
+   */
+  static loadSshConfig(file = this.SSH_CONFIG_FILE) {
+    try {
+      return this.parseSshConfig(fs.readFileSync(file, "utf8"));
+    } catch {
+      return [];
+    }
+  }
+}
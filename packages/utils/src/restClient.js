@@ -0,0 +1,114 @@
+import fetch from "node-fetch";
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+
+/**
+ * 托管平台 REST API 客户端基类
+ * 负责超时、JSON 解析和错误转换，子类通过 authorize 设置认证方式
+ */
+export class RestClient {
+  /**
+   * @param {Object} options - { token, baseUrl, timeout, name }
+   *   baseUrl 可指向自建服务或本地模拟服务，name 为错误信息中的平台名
+   */
+  constructor({ token, baseUrl, timeout, name }) {
+    this.token = token;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.timeout = timeout || 30000;
+    this.name = name;
+  }
+
+  /**
+   * 为请求添加认证信息
+   * @param {URL} url - 请求地址
+   * @param {Object} headers - 请求头
+   */
+  authorize(url, headers) {
+    headers.Authorization = `Bearer ${this.token}`;
+  }
+
+  /**
+   * 发送请求
+   * @param {string} method - HTTP 方法
+   * @param {string} path - 接口路径，如 /user
+   * @param {Object} body - 请求体
+   * @returns {Object} { data, headers }
+   */
+  async request(method, path, body = null) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    const headers = { "Content-Type": "application/json" };
+    this.authorize(url, headers);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(url.toString(), {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new ZhgitError(
+          `${this.name} API 请求超时: ${method} ${path}`,
+          ERROR_CODES.NETWORK_TIMEOUT
+        );
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = text;
+    }
+
+    if (!response.ok) {
+      throw this.createError(response.status, data, `${method} ${path}`);
+    }
+    return { data, headers: response.headers };
+  }
+
+  /**
+   * 将失败的响应转换为 ZhgitError
+   */
+  createError(status, data, context) {
+    const detail =
+      typeof data === "object" && data
+        ? JSON.stringify(data.message || data.error || data)
+        : data || "";
+
+    if (status === 401) {
+      return new ZhgitError(
+        `${this.name} Token 无效或已过期`,
+        ERROR_CODES.AUTH_TOKEN_INVALID,
+        { status, context }
+      );
+    }
+    if (status === 403) {
+      return new ZhgitError(
+        `${this.name} Token 权限不足: ${detail}`,
+        ERROR_CODES.AUTH_PERMISSION_DENIED,
+        { status, context }
+      );
+    }
+    if (status === 429) {
+      return new ZhgitError(
+        `${this.name} API rate limit，请稍后重试`,
+        ERROR_CODES.API_RATE_LIMIT,
+        { status, context }
+      );
+    }
+    return new ZhgitError(
+      `${this.name} API 请求失败 (${status}): ${detail}`,
+      ERROR_CODES.UNKNOWN_ERROR,
+      { status, context }
+    );
+  }
+}
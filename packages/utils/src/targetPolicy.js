@@ -0,0 +1,114 @@
+import ConfigManager from "./config.js";
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+
+/**
+ * 推送目标分支策略
+ * 目标分支来自仓库配置 (.zhgitrc.json) 与用户偏好设置中的 targets 字段，
+ * 支持精确分支名与 glob 模式（如 release/*），并可为每个目标配置推送参数
+ */
+export class TargetPolicy {
+  static DEFAULT_TARGETS = {
+    dev: {},
+    release: {},
+    main: {},
+  };
+
+  /**
+   * 加载目标分支配置
+   * 仓库配置中声明了 targets 时以仓库为准，用户偏好只补充对应目标的设置；
+   * 否则使用用户偏好中的 targets，都未配置时使用默认目标
+   * @returns {Object} { [name|pattern]: settings }
+   */
+  static loadTargets() {
+    const repoTargets = ConfigManager.getRepoConfig().targets;
+    const userTargets = ConfigManager.getUserPreferences().targets;
+    const allowed = repoTargets || userTargets || this.DEFAULT_TARGETS;
+
+    const targets = {};
+    Object.keys(allowed).forEach((key) => {
+      targets[key] = {
+        ...userTargets?.[key],
+        ...repoTargets?.[key],
+      };
+    });
+    return targets;
+  }
+
+  /**
+   * 偏好设置中的推送默认值 (push.strategy 与 pr.*)，目标分支配置优先
+   * @returns {Object} { strategy, draft, reviewers, assignees, labels, autoLabels, template }
+   */
+  static getDefaults() {
+    const { push = {}, pr = {} } = ConfigManager.getEffectivePreferences();
+    return push.strategy ? { strategy: push.strategy, ...pr } : { ...pr };
+  }
+
+  /**
+   * 判断是否为 glob 模式
+   * @param {string} pattern - 目标名或模式
+   * @returns {boolean}
+   */
+  static isPattern(pattern) {
+    return /[*?]/.test(pattern);
+  }
+
+  /**
+   * 将 glob 模式转换为正则表达式
+   * `*` 匹配单级路径，`**` 匹配任意层级，`?` 匹配单个字符；
+   * `*` 和 `**` 至少匹配一个字符，release/* 不匹配 release/
+   * @param {string} pattern - glob 模式
+   * @returns {RegExp}
+   */
+  static patternToRegExp(pattern) {
+    const source = pattern
+      .split("**")
+      .map((part) =>
+        part
+          .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, "[^/]+")
+          .replace(/\?/g, "[^/]")
+      )
+      .join(".+");
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * 解析目标分支，返回匹配的配置
+   * 精确匹配优先，其次按配置顺序匹配第一个模式，目标分支未配置的项使用偏好设置中的默认值
+   * @param {string} branch - 目标分支名
+   * @returns {Object} { name, pattern, settings }
+   */
+  static resolve(branch) {
+    const targets = this.loadTargets();
+    const defaults = this.getDefaults();
+
+    if (branch && Object.hasOwn(targets, branch) && !this.isPattern(branch)) {
+      return {
+        name: branch,
+        pattern: branch,
+        settings: { ...defaults, ...targets[branch] },
+      };
+    }
+
+    const pattern = Object.keys(targets).find(
+      (key) =>
+        branch && this.isPattern(key) && this.patternToRegExp(key).test(branch)
+    );
+
+    if (!pattern) {
+      throw new ZhgitError(
+        `不允许推送到目标分支 "${branch || ""}"，允许的目标: ${Object.keys(
+          targets
+        ).join(", ")}`,
+        ERROR_CODES.INVALID_INPUT,
+        { branch, allowedTargets: Object.keys(targets) }
+      );
+    }
+
+    return {
+      name: branch,
+      pattern,
+      settings: { ...defaults, ...targets[pattern] },
+    };
+  }
+}
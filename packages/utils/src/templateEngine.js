@@ -0,0 +1,165 @@
+import { ZhgitError, ERROR_CODES } from "./errorHandler.js";
+
+const TAG_PATTERN = /\{\{\s*([#/]?)([@\w.]+)?(?:\s+([@\w.]+))?\s*\}\}/g;
+
+/**
+ * 简单的文本模板引擎
+ * 支持变量 {{name}}、{{item.field}}，循环 {{#each list}}...{{/each}}，
+ * 条件 {{#if name}}...{{else}}...{{/if}}；
+ * 循环内可直接访问元素字段，{{this}} 为当前元素，{{@index}} 从 0 开始，{{@number}} 从 1 开始
+ */
+export class TemplateEngine {
+  /**
+   * 渲染模板
+   * @param {string} template - 模板内容
+   * @param {Object} context - 变量
+   * @returns {string} 渲染结果
+   */
+  static render(template, context = {}) {
+    return this.renderNodes(this.parse(template), [context]);
+  }
+
+  /**
+   * 将模板解析为节点树
+   * @param {string} template - 模板内容
+   * @returns {Array} [{ type: 'text'|'var'|'each'|'if', ... }]
+   */
+  static parse(template) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    for (const match of template.matchAll(TAG_PATTERN)) {
+      const [tag, marker, name, argument] = match;
+      const current = stack[stack.length - 1];
+      const target = current.inElse ? current.elseChildren : current.children;
+
+      if (match.index > lastIndex) {
+        target.push({
+          type: "text",
+          value: template.slice(lastIndex, match.index),
+        });
+      }
+      lastIndex = match.index + tag.length;
+
+      if (!name) {
+        throw new ZhgitError(
+          `模板语法错误: 空标签 ${tag}`,
+          ERROR_CODES.INVALID_INPUT
+        );
+      }
+
+      if (marker === "#") {
+        if (!["each", "if"].includes(name) || !argument) {
+          throw new ZhgitError(
+            `模板语法错误: 不支持的标签 ${tag}`,
+            ERROR_CODES.INVALID_INPUT
+          );
+        }
+        const node = {
+          type: name,
+          path: argument,
+          children: [],
+          elseChildren: [],
+        };
+        target.push(node);
+        stack.push(node);
+      } else if (marker === "/") {
+        if (stack.length === 1 || current.type !== name) {
+          throw new ZhgitError(
+            `模板语法错误: ${tag} 没有对应的开始标签`,
+            ERROR_CODES.INVALID_INPUT
+          );
+        }
+        stack.pop();
+      } else if (name === "else") {
+        if (stack.length === 1) {
+          throw new ZhgitError(
+            "模板语法错误: {{else}} 必须位于 {{#if}} 或 {{#each}} 中",
+            ERROR_CODES.INVALID_INPUT
+          );
+        }
+        current.inElse = true;
+      } else {
+        target.push({ type: "var", path: name });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new ZhgitError(
+        `模板语法错误: {{#${stack[stack.length - 1].type}}} 缺少结束标签`,
+        ERROR_CODES.INVALID_INPUT
+      );
+    }
+
+    const rest = template.slice(lastIndex);
+    if (rest) {
+      root.children.push({ type: "text", value: rest });
+    }
+    return root.children;
+  }
+
+  /**
+   * 按作用域链查找变量，内层作用域优先
+   * @param {string} path - 变量路径，如 commit.author
+   * @param {Array} scopes - 作用域链
+   */
+  static lookup(path, scopes) {
+    if (path === "this") {
+      return scopes[scopes.length - 1];
+    }
+
+    const [head, ...rest] = path.split(".");
+    const scope = [...scopes]
+      .reverse()
+      .find((item) => item && typeof item === "object" && head in item);
+    if (!scope) {
+      return undefined;
+    }
+    return rest.reduce((value, key) => value?.[key], scope[head]);
+  }
+
+  static isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  }
+
+  static renderNodes(nodes, scopes) {
+    return nodes
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return node.value;
+          case "var": {
+            const value = this.lookup(node.path, scopes);
+            return value === undefined || value === null ? "" : String(value);
+          }
+          case "if":
+            return this.renderNodes(
+              this.isTruthy(this.lookup(node.path, scopes))
+                ? node.children
+                : node.elseChildren,
+              scopes
+            );
+          case "each": {
+            // 非数组的值无法遍历，按空列表处理
+            const list = this.lookup(node.path, scopes);
+            if (!Array.isArray(list) || list.length === 0) {
+              return this.renderNodes(node.elseChildren, scopes);
+            }
+            return list
+              .map((item, index) =>
+                this.renderNodes(node.children, [
+                  ...scopes,
+                  { "@index": index, "@number": index + 1 },
+                  item,
+                ])
+              )
+              .join("");
+          }
+          default:
+            return "";
+        }
+      })
+      .join("");
+  }
+}
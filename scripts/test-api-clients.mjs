@@ -0,0 +1,852 @@
+#!/usr/bin/env node
+
+/**
+ * 托管平台 API 客户端测试脚本
+ * 在本地启动模拟服务，验证客户端和 OAuth 设备授权流程发出的请求以及对响应的转换；
+ * 并验证 API 地址、第三方平台插件和环境变量 Token 不受仓库配置影响
+ */
+
+import assert from "assert";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+// 各模块与入口存在循环引用，先加载入口
+import {
+  ConfigManager,
+  ProviderRegistry,
+  DeviceFlow,
+  ERROR_CODES,
+} from "../packages/utils/src/index.js";
+import { GitLabProvider } from "../packages/utils/src/gitlabProvider.js";
+import { GiteeProvider } from "../packages/utils/src/giteeProvider.js";
+
+/**
+ * 启动本地模拟服务，记录收到的请求
+ * @param {Function} handler - (request) => [status, data]，request 为 { method, path, query, headers, body }
+ * @returns {Object} { url, requests, close }
+ */
+function startMockServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let text = "";
+    req.on("data", (chunk) => (text += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        rawPath: req.url.split("?")[0],
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: text,
+      };
+      requests.push(request);
+
+      const [status, data] = handler(request);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(data));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * GitLab 模拟服务：项目 group/sub/app (ID 1) 与其 Fork me/app (ID 2)，Token 为 GL_TOKEN
+ */
+function gitlabHandler() {
+  const projects = { "group/sub/app": 1, "me/app": 2 };
+  const mergeRequests = [];
+
+  return (request) => {
+    if (request.headers["private-token"] !== "GL_TOKEN") {
+      return [401, { message: "401 Unauthorized" }];
+    }
+
+    const path = request.path.replace(/^\/api\/v4/, "");
+    if (path === "/user") {
+      return [200, { username: "gluser", public_email: "gl@example.com" }];
+    }
+    if (path === "/personal_access_tokens/self") {
+      return [200, { scopes: ["api"] }];
+    }
+
+    const match = path.match(
+      /^\/projects\/([^/]+)(?:\/merge_requests(?:\/(\d+))?)?$/
+    );
+    const projectId = match && projects[decodeURIComponent(match[1])];
+    if (!projectId) {
+      return [404, { message: "404 Project Not Found" }];
+    }
+    if (!path.includes("/merge_requests")) {
+      return [200, { id: projectId }];
+    }
+
+    if (request.method === "GET") {
+      return [
+        200,
+        mergeRequests.filter(
+          (item) =>
+            item.state === request.query.state &&
+            item.source_branch === request.query.source_branch &&
+            item.target_branch === request.query.target_branch
+        ),
+      ];
+    }
+
+    const data = JSON.parse(request.body);
+    if (request.method === "POST") {
+      const mergeRequest = {
+        ...data,
+        iid: mergeRequests.length + 1,
+        state: "opened",
+        source_project_id: projectId,
+        sha: "abc123",
+        web_url: `https://gitlab.example/mr/${mergeRequests.length + 1}`,
+        author: { username: "gluser" },
+        draft: data.title.startsWith("Draft: "),
+      };
+      mergeRequests.push(mergeRequest);
+      return [201, mergeRequest];
+    }
+
+    const mergeRequest = mergeRequests.find(
+      (item) => item.iid === Number(match[2])
+    );
+    Object.assign(mergeRequest, data, {
+      draft: data.title.startsWith("Draft: "),
+    });
+    return [200, mergeRequest];
+  };
+}
+
+/**
+ * Gitee 模拟服务：仓库 team/app，Token 为 GITEE_TOKEN，通过 access_token 参数认证
+ * 与部分 Gitee 版本一致，查询 PR 时忽略 head 过滤条件
+ */
+function giteeHandler() {
+  const pulls = [];
+
+  return (request) => {
+    if (request.query.access_token !== "GITEE_TOKEN") {
+      return [401, { message: "401 Unauthorized" }];
+    }
+
+    const path = request.path.replace(/^\/api\/v5/, "");
+    if (path === "/user") {
+      return [200, { login: "giteeuser", email: "gitee@example.com" }];
+    }
+
+    const match = path.match(/^\/repos\/team\/app\/pulls(?:\/(\d+))?$/);
+    if (!match) {
+      return [404, { message: "Not Found" }];
+    }
+
+    if (request.method === "GET") {
+      return [
+        200,
+        pulls.filter(
+          (pull) =>
+            pull.state === request.query.state &&
+            pull.base.ref === request.query.base
+        ),
+      ];
+    }
+
+    const data = JSON.parse(request.body);
+    if (request.method === "POST") {
+      const [headOwner, headRef] = data.head.includes(":")
+        ? data.head.split(":")
+        : ["team", data.head];
+      const pull = {
+        ...data,
+        number: pulls.length + 1,
+        state: "open",
+        html_url: `https://gitee.example/team/app/pulls/${pulls.length + 1}`,
+        head: {
+          ref: headRef,
+          sha: "def456",
+          repo: { full_name: `${headOwner}/app` },
+        },
+        base: { ref: data.base },
+      };
+      pulls.push(pull);
+      return [201, pull];
+    }
+
+    const pull = pulls.find((item) => item.number === Number(match[1]));
+    Object.assign(pull, data);
+    return [200, pull];
+  };
+}
+
+/**
+ * OAuth 设备授权模拟服务，client_id 为 mock-client
+ * 令牌端点依次返回 responses 中的结果，用完后重复最后一个
+ * @param {Array} responses - 令牌端点的响应内容
+ */
+function deviceFlowHandler(responses) {
+  let polls = 0;
+
+  return (request) => {
+    const params = Object.fromEntries(new URLSearchParams(request.body));
+    if (params.client_id !== "mock-client") {
+      return [400, { error: "invalid_client" }];
+    }
+
+    if (request.path === "/login/device/code") {
+      return [
+        200,
+        {
+          device_code: "DEVICE",
+          user_code: "ABCD-1234",
+          verification_uri: "https://github.example/login/device",
+          expires_in: 900,
+          interval: 5,
+        },
+      ];
+    }
+
+    if (
+      params.device_code !== "DEVICE" ||
+      params.grant_type !== "urn:ietf:params:oauth:grant-type:device_code"
+    ) {
+      return [400, { error: "invalid_grant" }];
+    }
+    const response = responses[Math.min(polls, responses.length - 1)];
+    polls++;
+    // 与 GitLab 一致，等待授权时以 400 返回 error 字段
+    return [response.error ? 400 : 200, response];
+  };
+}
+
+/**
+ * 在 node_modules 目录中创建托管平台插件包
+ * @param {string} dir - node_modules 目录
+ * @param {string} id - 平台标识，包名为 zhgit-provider-<id>
+ */
+function writeProviderPackage(dir, id) {
+  const packageDir = path.join(dir, `zhgit-provider-${id}`);
+  fs.mkdirSync(packageDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(packageDir, "package.json"),
+    JSON.stringify({ name: `zhgit-provider-${id}`, main: "index.js" })
+  );
+  fs.writeFileSync(
+    path.join(packageDir, "index.js"),
+    `export default class Provider {
+  static id = "${id}";
+  async createPullRequest() {}
+}
+`
+  );
+}
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runTest(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ 通过: ${name}`);
+      this.passed++;
+    } catch (error) {
+      console.log(`❌ 失败: ${name}`);
+      console.log(`   错误: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testGitLab() {
+    const server = await startMockServer(gitlabHandler());
+    const apiUrl = `${server.url}/api/v4`;
+    const provider = new GitLabProvider({
+      token: "GL_TOKEN",
+      apiUrl,
+      owner: "group/sub",
+      repo: "app",
+    });
+
+    try {
+      await this.runTest("GitLab: 验证 Token 并读取权限范围", async () => {
+        const info = await provider.getTokenInfo();
+        assert.deepStrictEqual(info, {
+          username: "gluser",
+          email: "gl@example.com",
+          scopes: ["api"],
+          hasRequiredPermissions: true,
+        });
+      });
+
+      await this.runTest(
+        "GitLab: 无法读取权限范围时标记为未知而非权限不足",
+        async () => {
+          // OAuth Token 无法访问个人访问令牌接口
+          const handler = gitlabHandler();
+          const oauthServer = await startMockServer((request) =>
+            request.path.endsWith("/personal_access_tokens/self")
+              ? [404, { message: "404 Not Found" }]
+              : handler(request)
+          );
+          try {
+            const info = await new GitLabProvider({
+              token: "GL_TOKEN",
+              apiUrl: `${oauthServer.url}/api/v4`,
+              owner: "group/sub",
+              repo: "app",
+            }).getTokenInfo();
+            assert.strictEqual(info.scopes, null);
+            assert.strictEqual(info.hasRequiredPermissions, null);
+          } finally {
+            await oauthServer.close();
+          }
+        }
+      );
+
+      await this.runTest(
+        "GitLab: Token 无效时抛出 AUTH_TOKEN_INVALID",
+        async () => {
+          const invalid = new GitLabProvider({
+            token: "WRONG",
+            apiUrl,
+            owner: "group/sub",
+            repo: "app",
+          });
+          await assert.rejects(invalid.findPullRequest("feature", "develop"), {
+            code: ERROR_CODES.AUTH_TOKEN_INVALID,
+          });
+        }
+      );
+
+      await this.runTest("GitLab: 没有合并请求时返回 null", async () => {
+        assert.strictEqual(
+          await provider.findPullRequest("feature", "develop"),
+          null
+        );
+        const request = server.requests[server.requests.length - 1];
+        assert.strictEqual(
+          request.rawPath,
+          "/api/v4/projects/group%2Fsub%2Fapp/merge_requests"
+        );
+        assert.deepStrictEqual(request.query, {
+          state: "opened",
+          source_branch: "feature",
+          target_branch: "develop",
+        });
+      });
+
+      await this.runTest("GitLab: 创建草稿合并请求", async () => {
+        const pullRequest = await provider.createPullRequest({
+          title: "feat: 登录",
+          body: "描述",
+          head: "feature",
+          base: "develop",
+          draft: true,
+          labels: ["type:feat", "zhgit"],
+          removeSourceBranch: true,
+        });
+        const body = JSON.parse(
+          server.requests[server.requests.length - 1].body
+        );
+        assert.strictEqual(body.title, "Draft: feat: 登录");
+        assert.strictEqual(body.labels, "type:feat,zhgit");
+        assert.strictEqual(body.remove_source_branch, true);
+        assert.deepStrictEqual(
+          {
+            number: pullRequest.number,
+            draft: pullRequest.draft,
+            body: pullRequest.body,
+            head: pullRequest.head,
+            base: pullRequest.base,
+          },
+          {
+            number: 1,
+            draft: true,
+            body: "描述",
+            head: { ref: "feature", sha: "abc123" },
+            base: { ref: "develop" },
+          }
+        );
+      });
+
+      await this.runTest("GitLab: 按源分支和目标分支查找合并请求", async () => {
+        const pullRequest = await provider.findPullRequest(
+          "feature",
+          "develop"
+        );
+        assert.strictEqual(pullRequest.number, 1);
+        assert.strictEqual(pullRequest.html_url, "https://gitlab.example/mr/1");
+      });
+
+      await this.runTest("GitLab: 更新合并请求并追加标签", async () => {
+        const pullRequest = await provider.updatePullRequest(1, {
+          title: "feat: 登录",
+          body: "新描述",
+          draft: false,
+          labels: ["type:fix"],
+        });
+        const request = server.requests[server.requests.length - 1];
+        assert.strictEqual(request.method, "PUT");
+        assert.strictEqual(
+          request.rawPath,
+          "/api/v4/projects/group%2Fsub%2Fapp/merge_requests/1"
+        );
+        assert.strictEqual(JSON.parse(request.body).add_labels, "type:fix");
+        assert.strictEqual(pullRequest.title, "feat: 登录");
+        assert.strictEqual(pullRequest.draft, false);
+      });
+
+      await this.runTest("GitLab: Fork 中的合并请求按源项目区分", async () => {
+        const fork = { owner: "me", repo: "app" };
+        assert.strictEqual(
+          await provider.findPullRequest("feature", "develop", fork),
+          null
+        );
+
+        await provider.createPullRequest({
+          title: "fix: 修复",
+          body: "",
+          head: "feature",
+          base: "develop",
+          headRepository: fork,
+        });
+        const request = server.requests[server.requests.length - 1];
+        assert.strictEqual(
+          request.rawPath,
+          "/api/v4/projects/me%2Fapp/merge_requests"
+        );
+        assert.strictEqual(JSON.parse(request.body).target_project_id, 1);
+      });
+    } finally {
+      await server.close();
+    }
+  }
+
+  async testDeviceFlow() {
+    // 轮询间隔为 0.01 秒，避免测试等待
+    const code = { deviceCode: "DEVICE", expiresIn: 5, interval: 0.01 };
+    const withFlow = async (responses, callback) => {
+      const server = await startMockServer(deviceFlowHandler(responses));
+      const flow = new DeviceFlow({
+        clientId: "mock-client",
+        deviceCodeUrl: `${server.url}/login/device/code`,
+        tokenUrl: `${server.url}/login/oauth/access_token`,
+        scopes: ["repo", "workflow"],
+        name: "GitHub",
+      });
+      try {
+        await callback(flow, server);
+      } finally {
+        await server.close();
+      }
+    };
+
+    await this.runTest("设备授权: 申请设备码和验证码", () =>
+      withFlow([], async (flow, server) => {
+        assert.deepStrictEqual(await flow.requestCode(), {
+          deviceCode: "DEVICE",
+          userCode: "ABCD-1234",
+          verificationUri: "https://github.example/login/device",
+          verificationUriComplete: null,
+          expiresIn: 900,
+          interval: 5,
+        });
+        assert.strictEqual(
+          new URLSearchParams(server.requests[0].body).get("scope"),
+          "repo workflow"
+        );
+
+        flow.clientId = "unknown";
+        await assert.rejects(flow.requestCode(), {
+          code: ERROR_CODES.CONFIG_INVALID,
+        });
+      })
+    );
+
+    await this.runTest("设备授权: authorization_pending 时继续轮询", () =>
+      withFlow(
+        [
+          { error: "authorization_pending" },
+          { error: "authorization_pending" },
+          { access_token: "gho_token" },
+        ],
+        async (flow, server) => {
+          assert.strictEqual(await flow.pollToken(code), "gho_token");
+          assert.strictEqual(server.requests.length, 3);
+        }
+      )
+    );
+
+    await this.runTest("设备授权: slow_down 时按返回的间隔继续轮询", () =>
+      withFlow(
+        [{ error: "slow_down", interval: 0.3 }, { access_token: "gho_token" }],
+        async (flow, server) => {
+          const started = Date.now();
+          assert.strictEqual(await flow.pollToken(code), "gho_token");
+          assert.strictEqual(server.requests.length, 2);
+          assert.ok(Date.now() - started >= 300, "未按 slow_down 的间隔等待");
+        }
+      )
+    );
+
+    await this.runTest("设备授权: access_denied 时停止轮询", () =>
+      withFlow(
+        [{ error: "authorization_pending" }, { error: "access_denied" }],
+        async (flow) => {
+          await assert.rejects(flow.pollToken(code), {
+            code: ERROR_CODES.AUTH_PERMISSION_DENIED,
+          });
+        }
+      )
+    );
+
+    await this.runTest("设备授权: expired_token 时提示重新登录", () =>
+      withFlow([{ error: "expired_token" }], async (flow) => {
+        await assert.rejects(flow.pollToken(code), {
+          code: ERROR_CODES.AUTH_TOKEN_INVALID,
+          message: /已过期/,
+        });
+      })
+    );
+
+    await this.runTest("设备授权: 超过有效期后停止轮询", () =>
+      withFlow([{ error: "authorization_pending" }], async (flow, server) => {
+        await assert.rejects(
+          flow.pollToken({ ...code, expiresIn: 0.1, interval: 0.02 }),
+          { code: ERROR_CODES.AUTH_TOKEN_INVALID, message: /已过期/ }
+        );
+        assert.ok(server.requests.length > 0);
+      })
+    );
+  }
+
+  async testProviders() {
+    const { getRepoConfig, getUserPreferences } = ConfigManager;
+    const { getGlobalRoot } = ProviderRegistry;
+    const cwd = process.cwd();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zhgit-providers-"));
+    const repoDir = path.join(dir, "repo");
+    const globalRoot = path.join(dir, "global", "lib", "node_modules");
+    writeProviderPackage(path.join(repoDir, "node_modules"), "repo-plugin");
+    writeProviderPackage(globalRoot, "global-plugin");
+    ProviderRegistry.getGlobalRoot = () => globalRoot;
+    process.chdir(repoDir);
+
+    try {
+      await this.runTest("插件: 忽略仓库配置中的 providers", async () => {
+        ConfigManager.getRepoConfig = () => ({
+          providers: ["zhgit-provider-repo-plugin"],
+        });
+        ConfigManager.getUserPreferences = () => ({});
+        await ConfigManager.loadProviders();
+        assert.ok(!ProviderRegistry.ids().includes("repo-plugin"));
+      });
+
+      await this.runTest("插件: 不从仓库的 node_modules 中加载", async () => {
+        await assert.rejects(
+          ProviderRegistry.load(["zhgit-provider-repo-plugin"]),
+          { code: ERROR_CODES.CONFIG_INVALID }
+        );
+        assert.ok(!ProviderRegistry.ids().includes("repo-plugin"));
+      });
+
+      await this.runTest(
+        "插件: 加载用户偏好设置中登记的全局安装包",
+        async () => {
+          ConfigManager.getUserPreferences = () => ({
+            providers: ["zhgit-provider-global-plugin"],
+          });
+          await ConfigManager.loadProviders();
+          assert.ok(ProviderRegistry.ids().includes("global-plugin"));
+        }
+      );
+    } finally {
+      process.chdir(cwd);
+      fs.rmSync(dir, { recursive: true, force: true });
+      Object.assign(ConfigManager, { getRepoConfig, getUserPreferences });
+      ProviderRegistry.getGlobalRoot = getGlobalRoot;
+    }
+  }
+
+  async testApiUrl() {
+    const { getRepoConfig, getUserPreferences } = ConfigManager;
+    const variable = "ZHGIT_GITLAB_API_URL";
+    const saved = process.env[variable];
+    delete process.env[variable];
+    ConfigManager.getRepoConfig = () => ({
+      gitlab: { apiUrl: "https://attacker.example/api/v4" },
+      hosts: {
+        "git.corp.example": {
+          apiUrl: "https://attacker.example/api/v3",
+          oauth: {
+            clientId: "attacker",
+            tokenUrl: "https://attacker.example/token",
+          },
+        },
+        "gitlab.corp.example": { platform: "gitlab" },
+      },
+    });
+
+    try {
+      await this.runTest("API 地址: 忽略仓库配置中的 apiUrl", () => {
+        ConfigManager.getUserPreferences = () => ({});
+        assert.strictEqual(
+          ConfigManager.getApiUrl("gitlab"),
+          GitLabProvider.defaultApiUrl
+        );
+      });
+
+      await this.runTest("API 地址: 使用用户偏好设置和环境变量", () => {
+        ConfigManager.getUserPreferences = () => ({
+          gitlab: { apiUrl: "http://localhost:3000/api/v4" },
+        });
+        assert.strictEqual(
+          ConfigManager.getApiUrl("gitlab"),
+          "http://localhost:3000/api/v4"
+        );
+        process.env[variable] = "http://localhost:4000/api/v4";
+        assert.strictEqual(
+          ConfigManager.getApiUrl("gitlab"),
+          "http://localhost:4000/api/v4"
+        );
+      });
+
+      await this.runTest("API 地址: 仓库配置的 hosts 只读取 platform", () => {
+        ConfigManager.getUserPreferences = () => ({
+          hosts: { "git.corp.example": { oauth: { clientId: "Iv1.corp" } } },
+        });
+        assert.strictEqual(
+          ConfigManager.resolveSite("git.corp.example").apiUrl,
+          "https://git.corp.example/api/v3"
+        );
+        assert.strictEqual(
+          ConfigManager.resolveSite("gitlab.corp.example").platform,
+          "gitlab"
+        );
+        const flow = ConfigManager.resolveDeviceFlow("git.corp.example");
+        assert.strictEqual(flow.clientId, "Iv1.corp");
+        assert.strictEqual(
+          flow.tokenUrl,
+          "https://git.corp.example/login/oauth/access_token"
+        );
+      });
+
+      await this.runTest(
+        "环境变量 Token: 只用于公共站点和用户偏好设置中的主机",
+        () => {
+          const saved = process.env.ZHGIT_TOKEN;
+          process.env.ZHGIT_TOKEN = "env-token";
+          try {
+            ConfigManager.getUserPreferences = () => ({
+              hosts: { "git.corp.example": { platform: "github" } },
+            });
+            assert.strictEqual(
+              ConfigManager.getEnvToken("gitlab")?.token,
+              "env-token"
+            );
+            assert.strictEqual(
+              ConfigManager.getEnvToken("git.corp.example")?.token,
+              "env-token"
+            );
+            assert.strictEqual(
+              ConfigManager.getEnvToken("gitlab.corp.example"),
+              null
+            );
+          } finally {
+            if (saved === undefined) {
+              delete process.env.ZHGIT_TOKEN;
+            } else {
+              process.env.ZHGIT_TOKEN = saved;
+            }
+          }
+        }
+      );
+    } finally {
+      Object.assign(ConfigManager, { getRepoConfig, getUserPreferences });
+      if (saved === undefined) {
+        delete process.env[variable];
+      } else {
+        process.env[variable] = saved;
+      }
+    }
+  }
+
+  async testGitee() {
+    const server = await startMockServer(giteeHandler());
+    const apiUrl = `${server.url}/api/v5`;
+    const provider = new GiteeProvider({
+      token: "GITEE_TOKEN",
+      apiUrl,
+      owner: "team",
+      repo: "app",
+    });
+
+    try {
+      await this.runTest(
+        "Gitee: 通过 access_token 参数验证 Token",
+        async () => {
+          const info = await provider.getTokenInfo();
+          assert.strictEqual(info.username, "giteeuser");
+          assert.strictEqual(info.hasRequiredPermissions, true);
+          assert.strictEqual(
+            server.requests[server.requests.length - 1].headers.authorization,
+            undefined
+          );
+        }
+      );
+
+      await this.runTest(
+        "Gitee: Token 无效时抛出 AUTH_TOKEN_INVALID",
+        async () => {
+          const invalid = new GiteeProvider({
+            token: "WRONG",
+            apiUrl,
+            owner: "team",
+            repo: "app",
+          });
+          await assert.rejects(invalid.findPullRequest("feature", "develop"), {
+            code: ERROR_CODES.AUTH_TOKEN_INVALID,
+          });
+        }
+      );
+
+      await this.runTest("Gitee: 没有 PR 时返回 null", async () => {
+        assert.strictEqual(
+          await provider.findPullRequest("feature", "develop"),
+          null
+        );
+        const request = server.requests[server.requests.length - 1];
+        assert.strictEqual(request.path, "/api/v5/repos/team/app/pulls");
+        assert.deepStrictEqual(request.query, {
+          state: "open",
+          head: "feature",
+          base: "develop",
+          access_token: "GITEE_TOKEN",
+        });
+      });
+
+      await this.runTest("Gitee: 创建草稿 PR", async () => {
+        const pullRequest = await provider.createPullRequest({
+          title: "feat: 登录",
+          body: "描述",
+          head: "feature",
+          base: "develop",
+          draft: true,
+          labels: ["type:feat", "zhgit"],
+          removeSourceBranch: true,
+        });
+        const body = JSON.parse(
+          server.requests[server.requests.length - 1].body
+        );
+        assert.deepStrictEqual(body, {
+          title: "feat: 登录",
+          body: "描述",
+          head: "feature",
+          base: "develop",
+          draft: true,
+          labels: "type:feat,zhgit",
+          prune_source_branch: true,
+        });
+        assert.strictEqual(pullRequest.number, 1);
+      });
+
+      await this.runTest("Gitee: 按分支和仓库查找 PR", async () => {
+        const pullRequest = await provider.findPullRequest(
+          "feature",
+          "develop"
+        );
+        assert.strictEqual(pullRequest.number, 1);
+        assert.strictEqual(
+          await provider.findPullRequest("other", "develop"),
+          null
+        );
+        assert.strictEqual(
+          await provider.findPullRequest("feature", "develop", {
+            owner: "me",
+            repo: "app",
+          }),
+          null
+        );
+      });
+
+      await this.runTest("Gitee: 更新 PR 标题、描述和标签", async () => {
+        const pullRequest = await provider.updatePullRequest(1, {
+          title: "feat: 登录页",
+          body: "新描述",
+          labels: ["type:fix"],
+        });
+        const request = server.requests[server.requests.length - 1];
+        assert.strictEqual(request.method, "PATCH");
+        assert.strictEqual(request.path, "/api/v5/repos/team/app/pulls/1");
+        assert.deepStrictEqual(JSON.parse(request.body), {
+          title: "feat: 登录页",
+          body: "新描述",
+          labels: "type:fix",
+        });
+        assert.strictEqual(pullRequest.title, "feat: 登录页");
+      });
+
+      await this.runTest(
+        "Gitee: Fork 中的 PR 以 owner:branch 为 head",
+        async () => {
+          const fork = { owner: "me", repo: "app" };
+          await provider.createPullRequest({
+            title: "fix: 修复",
+            body: "",
+            head: "feature",
+            base: "develop",
+            headRepository: fork,
+          });
+          assert.strictEqual(
+            JSON.parse(server.requests[server.requests.length - 1].body).head,
+            "me:feature"
+          );
+          const pullRequest = await provider.findPullRequest(
+            "feature",
+            "develop",
+            fork
+          );
+          assert.strictEqual(pullRequest.number, 2);
+          assert.strictEqual(
+            server.requests[server.requests.length - 1].query.head,
+            "me:feature"
+          );
+        }
+      );
+    } finally {
+      await server.close();
+    }
+  }
+
+  async runAllTests() {
+    console.log("🚀 开始托管平台 API 客户端测试\n");
+
+    await this.testApiUrl();
+    await this.testProviders();
+    await this.testGitLab();
+    await this.testGitee();
+    await this.testDeviceFlow();
+
+    console.log("\n" + "=".repeat(50));
+    console.log(`✅ 通过: ${this.passed}`);
+    console.log(`❌ 失败: ${this.failed}`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+await new TestRunner().runAllTests();
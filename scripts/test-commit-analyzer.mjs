@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * 提交分析测试脚本
+ * 逐条验证从提交和分支名中提取关联 Issue 的结果、刷新已有 PR 描述时的段落合并，
+ * 以及生成的段落填入仓库 PR 模板的位置
+ */
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+// 各模块与入口存在循环引用，先加载入口
+import { CommitAnalyzer, PRTemplate } from "../packages/utils/src/index.js";
+
+const TRACKERS = {
+  PROJ: "https://jira.example.com/browse/{key}",
+  OPS: "https://tracker.example.com/{project}/issues/{number}",
+};
+
+// [说明, 提交标题, 分支名, 期望结果]，期望结果只比较列出的字段
+const ISSUE_CASES = [
+  ["关闭单个 Issue", "fix: 修复登录 fixes #12", "", { closes: [12] }],
+  ["关闭逗号分隔的多个 Issue", "fix #1, #2", "", { closes: [1, 2] }],
+  ["关闭空格分隔的多个 Issue", "fixes #5 #6", "", { closes: [5, 6] }],
+  [
+    "关闭 and 分隔的多个 Issue",
+    "closes #1, #2 and #3",
+    "",
+    { closes: [1, 2, 3] },
+  ],
+  ["关键字后带冒号", "Resolves: #8", "", { closes: [8] }],
+  ["引用多个 Issue", "see #1, #2", "", { closes: [], refs: [1, 2] }],
+  ["引用 related to", "related to #7", "", { refs: [7] }],
+  ["关闭的 Issue 不重复引用", "fix #3, refs #3 #4", "", { refs: [4] }],
+  [
+    "列表不延伸到其他关键字",
+    "fix #1 and see #2",
+    "",
+    { closes: [1], refs: [2] },
+  ],
+  ["没有关键字的编号不识别", "chore: 更新 #9", "", { closes: [], refs: [] }],
+  ["分支名中的 issue 前缀", "feat: 登录", "issue-123", { closes: [123] }],
+  ["分支名中的 gh 前缀", "feat: 登录", "feature/gh-45-login", { closes: [45] }],
+  ["不识别以数字开头的分支名", "feat: 登录", "release/2024-q3", { closes: [] }],
+  [
+    "不识别数字开头的功能分支",
+    "feat: 登录",
+    "feature/2-factor-auth",
+    { closes: [] },
+  ],
+  [
+    "识别配置的跟踪系统",
+    "feat: 登录 PROJ-456",
+    "",
+    {
+      external: [
+        { key: "PROJ-456", url: "https://jira.example.com/browse/PROJ-456" },
+      ],
+    },
+  ],
+  [
+    "链接模板支持项目和编号",
+    "fix: OPS-7",
+    "",
+    {
+      external: [
+        { key: "OPS-7", url: "https://tracker.example.com/OPS/issues/7" },
+      ],
+    },
+  ],
+  [
+    "分支名中的小写项目前缀",
+    "feat: 登录",
+    "feature/proj-88-login",
+    {
+      external: [
+        { key: "PROJ-88", url: "https://jira.example.com/browse/PROJ-88" },
+      ],
+    },
+  ],
+  [
+    "不识别未配置的前缀",
+    "fix: 使用 UTF-8 和 SHA-256 编码 ABC-12",
+    "",
+    { external: [] },
+  ],
+];
+
+const wrap = (id, content) => CommitAnalyzer.wrapSection(id, content);
+
+// 去掉段落标记，只比较可见内容
+const strip = (body) => body.replace(/<!-- \/?zhgit:section[^>]*-->\n/g, "");
+
+const OLD_BODY = [
+  wrap("summary", "## 摘要\n\n旧摘要\n"),
+  wrap("types", "## 类型\n\nfeat: 1\n"),
+  wrap("current", "## 本次提交\n\n- 旧提交\n"),
+].join("");
+
+const NEW_BODY = [
+  wrap("summary", "## 摘要\n\n新摘要\n"),
+  wrap("issues", "## Issue\n\nCloses #1\n"),
+  wrap("types", "## 类型\n\nfeat: 2\n"),
+].join("");
+
+// [说明, 已有描述, 期望的可见内容]
+const MERGE_CASES = [
+  ["没有描述时使用新描述", "", strip(NEW_BODY)],
+  [
+    "旧版本生成的描述直接替换",
+    "## 摘要\n\n此 PR 由 zhgit 自动生成\n",
+    strip(NEW_BODY),
+  ],
+  [
+    "手写描述保留在新描述之前",
+    "手写说明\n\n",
+    `手写说明\n\n${strip(NEW_BODY)}`,
+  ],
+  [
+    "未修改的段落刷新，删除的段落移除，新段落插入到前一段落之后",
+    OLD_BODY,
+    "## 摘要\n\n新摘要\n## Issue\n\nCloses #1\n## 类型\n\nfeat: 2\n",
+  ],
+  [
+    "保留手动修改的段落和段落之间的手写内容",
+    `${OLD_BODY.replace("feat: 1", "feat: 1 ✅")}\n评审备注\n`,
+    "## 摘要\n\n新摘要\n## Issue\n\nCloses #1\n## 类型\n\nfeat: 1 ✅\n\n评审备注\n",
+  ],
+  [
+    "CRLF 换行的描述按未修改处理",
+    OLD_BODY.replace(/\n/g, "\r\n"),
+    "## 摘要\n\n新摘要\n## Issue\n\nCloses #1\n## 类型\n\nfeat: 2\n",
+  ],
+  [
+    "新段落在最前面时插入到第一个段落之前",
+    `开头\n${wrap("types", "## 类型\n\nfeat: 1\n")}`,
+    "开头\n## 摘要\n\n新摘要\n## Issue\n\nCloses #1\n## 类型\n\nfeat: 2\n",
+  ],
+];
+
+// buildPRSections 生成的段落
+const SECTIONS = [
+  { id: "title", content: "# 🚀 feature → dev\n\n" },
+  { id: "summary", content: "## 📝 变更摘要\n\n共 2 个提交\n\n" },
+  { id: "types", content: "## 📊 提交类型统计\n\n- feat: 1\n\n" },
+  { id: "current", content: "## 本次提交\n\n- feat: 登录\n\n" },
+  { id: "previous", content: "## 历史提交\n\n- fix: 跳转\n\n" },
+  { id: "checklist", content: "## ✅ 检查清单\n\n- [ ] 测试\n\n" },
+  { id: "footer", content: "---\n此 PR 由 zhgit 自动生成\n" },
+];
+
+// [说明, 模板, 期望的可见内容]
+const TEMPLATE_CASES = [
+  [
+    "单个段落去掉标题，多个段落降为下一级标题",
+    "## Description\n\n## Changes\n\n## Type of change\n",
+    [
+      "## Description\n\n共 2 个提交\n\n",
+      "\n## Changes\n\n### 本次提交\n\n- feat: 登录\n\n### 历史提交\n\n- fix: 跳转\n\n",
+      "\n## Type of change\n\n- feat: 1\n\n",
+      "\n---\n此 PR 由 zhgit 自动生成\n",
+    ].join(""),
+  ],
+  [
+    "未匹配的段落放在提交分析区块",
+    "## Description\n\n- [ ] 已自测\n",
+    [
+      "## Description\n\n共 2 个提交\n\n\n- [ ] 已自测\n",
+      "\n## 🤖 提交分析\n\n### 📊 提交类型统计\n\n- feat: 1\n\n",
+      "### 本次提交\n\n- feat: 登录\n\n### 历史提交\n\n- fix: 跳转\n\n",
+      "\n---\n此 PR 由 zhgit 自动生成\n",
+    ].join(""),
+  ],
+  [
+    "忽略代码块中的标题，同一段落只填入一次",
+    "```md\n## Summary\n```\n## 说明\n## 描述\n",
+    [
+      "```md\n## Summary\n```\n## 说明\n\n共 2 个提交\n\n## 描述\n",
+      "\n## 🤖 提交分析\n\n### 📊 提交类型统计\n\n- feat: 1\n\n",
+      "### 本次提交\n\n- feat: 登录\n\n### 历史提交\n\n- fix: 跳转\n\n",
+      "\n---\n此 PR 由 zhgit 自动生成\n",
+    ].join(""),
+  ],
+];
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  runTest(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ 通过: ${name}`);
+      this.passed++;
+    } catch (error) {
+      console.log(`❌ 失败: ${name}`);
+      console.log(`   错误: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  testIssueReferences() {
+    ISSUE_CASES.forEach(([name, message, branchName, expected]) => {
+      this.runTest(`关联 Issue: ${name}`, () => {
+        const result = CommitAnalyzer.extractIssueReferences(
+          [{ message }],
+          branchName,
+          TRACKERS
+        );
+        Object.entries(expected).forEach(([key, value]) => {
+          assert.deepStrictEqual(result[key], value, key);
+        });
+      });
+    });
+
+    this.runTest("关联 Issue: 读取提交正文", () => {
+      const result = CommitAnalyzer.extractIssueReferences([
+        { message: "fix: 修复跳转", body: "Closes #10 and #11" },
+      ]);
+      assert.deepStrictEqual(result.closes, [10, 11]);
+    });
+
+    this.runTest("关联 Issue: 未配置跟踪系统时不识别外部 Issue", () => {
+      const result = CommitAnalyzer.extractIssueReferences([
+        { message: "feat: PROJ-456" },
+      ]);
+      assert.deepStrictEqual(result.external, []);
+    });
+  }
+
+  testMergePRDescription() {
+    MERGE_CASES.forEach(([name, existingBody, expected]) => {
+      this.runTest(`刷新 PR 描述: ${name}`, () => {
+        assert.strictEqual(
+          strip(CommitAnalyzer.mergePRDescription(existingBody, NEW_BODY)),
+          expected
+        );
+      });
+    });
+
+    this.runTest("刷新 PR 描述: 再次刷新结果不变", () => {
+      const merged = CommitAnalyzer.mergePRDescription(OLD_BODY, NEW_BODY);
+      assert.strictEqual(
+        CommitAnalyzer.mergePRDescription(merged, NEW_BODY),
+        merged
+      );
+    });
+  }
+
+  testPRTemplate() {
+    TEMPLATE_CASES.forEach(([name, template, expected]) => {
+      this.runTest(`PR 模板: ${name}`, () => {
+        assert.strictEqual(
+          strip(CommitAnalyzer.applyPRTemplate(template, SECTIONS)),
+          expected
+        );
+      });
+    });
+
+    this.runTest("PR 模板: 填入的段落刷新时按未修改处理", () => {
+      const body = CommitAnalyzer.applyPRTemplate("## Description\n", SECTIONS);
+      assert.ok(
+        CommitAnalyzer.parseSections(body)
+          .filter((segment) => segment.type === "section")
+          .every((segment) => !segment.edited)
+      );
+    });
+
+    this.runTest("PR 模板: 按 GitHub 的位置查找，文件名不区分大小写", () => {
+      const repoRoot = fs.mkdtempSync(
+        path.join(os.tmpdir(), "zhgit-template-")
+      );
+      try {
+        const write = (file) => {
+          fs.mkdirSync(path.dirname(path.join(repoRoot, file)), {
+            recursive: true,
+          });
+          fs.writeFileSync(path.join(repoRoot, file), "## Description\n");
+        };
+        write("docs/pull_request_template.md");
+        write(".github/PULL_REQUEST_TEMPLATE.md");
+        write(".github/pull_request_template/bugfix.md");
+        write("docs/PULL_REQUEST_TEMPLATE/release.MD");
+
+        const { defaultTemplate, named } = PRTemplate.find(repoRoot);
+        assert.strictEqual(
+          defaultTemplate,
+          path.join(repoRoot, ".github", "PULL_REQUEST_TEMPLATE.md")
+        );
+        assert.deepStrictEqual(Object.keys(named).sort(), [
+          "bugfix",
+          "release",
+        ]);
+      } finally {
+        fs.rmSync(repoRoot, { recursive: true, force: true });
+      }
+    });
+  }
+
+  runAllTests() {
+    console.log("🚀 开始提交分析测试\n");
+
+    this.testIssueReferences();
+    this.testMergePRDescription();
+    this.testPRTemplate();
+
+    console.log("\n" + "=".repeat(50));
+    console.log(`✅ 通过: ${this.passed}`);
+    console.log(`❌ 失败: ${this.failed}`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+new TestRunner().runAllTests();
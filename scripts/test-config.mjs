@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+
+/**
+ * 偏好设置、账户配置与凭据存储测试脚本
+ * 逐条验证配置项取值的转换与校验、嵌套字段的读写、仓库配置与用户偏好的优先级，
+ * 账户配置的选择和旧版 Token 记录的转换，以及加密凭据文件和环境变量中的 Token
+ */
+
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// 使用独立的主目录，配置文件路径在加载模块时确定，需在加载前设置
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), "zhgit-config-"));
+process.env.HOME = sandbox;
+delete process.env.ZHGIT_PROFILE;
+
+// 各模块与入口存在循环引用，先加载入口
+const {
+  ConfigManager,
+  PreferenceSchema,
+  CredentialStore,
+  EncryptedFileStore,
+  EnvStore,
+  ERROR_CODES,
+} = await import("../packages/utils/src/index.js");
+
+// [配置项, 命令行输入, 期望值]，期望值为 null 表示输入无效
+const PARSE_CASES = [
+  ["pr.draft", "true", true],
+  ["pr.draft", "YES", true],
+  ["pr.draft", " on ", true],
+  ["pr.draft", "1", true],
+  ["pr.draft", "off", false],
+  ["pr.draft", "0", false],
+  ["pr.draft", "maybe", null],
+  ["pr.draft", "", null],
+  ["checks.timeout", "600", 600],
+  ["checks.timeout", "2.5", 2.5],
+  ["checks.timeout", "0", null],
+  ["checks.timeout", "-1", null],
+  ["checks.timeout", "ten", null],
+  ["checks.timeout", "", null],
+  ["pr.reviewers", "alice, bob,,", ["alice", "bob"]],
+  ["pr.reviewers", "", []],
+  ["push.strategy", "squash", "squash"],
+  ["push.strategy", "Squash", null],
+  ["push.strategy", "pick", null],
+  ["credentials.store", "env", "env"],
+  ["push.defaultBase", " dev ", "dev"],
+  ["push.defaultBase", "  ", null],
+  ["unknown.key", "x", null],
+];
+
+// [说明, 仓库配置, 用户偏好, 配置项, 期望结果]
+const SCOPE_CASES = [
+  [
+    "仓库配置优先",
+    { pr: { draft: true } },
+    { pr: { draft: false } },
+    "pr.draft",
+    { value: true, source: "repo" },
+  ],
+  [
+    "仓库未设置时使用用户偏好",
+    {},
+    { push: { defaultBase: "dev" } },
+    "push.defaultBase",
+    { value: "dev", source: "global" },
+  ],
+  [
+    "都未设置时使用默认值",
+    {},
+    {},
+    "push.strategy",
+    { value: "merge", source: "default" },
+  ],
+  [
+    "没有默认值时来源为 null",
+    {},
+    {},
+    "push.defaultBase",
+    { value: undefined, source: null },
+  ],
+  [
+    "只能全局设置的配置项忽略仓库配置",
+    { credentials: { store: "env" } },
+    {},
+    "credentials.store",
+    { value: "auto", source: "default" },
+  ],
+];
+
+// 旧版按 Git 用户名保存的 Token 记录
+const LEGACY_CONFIG = {
+  zhgit: {
+    alice: {
+      hasToken: true,
+      login: "octocat",
+      email: "octo@example.com",
+      lastUsed: "2024-01-01T00:00:00.000Z",
+      platforms: { gitlab: { hasToken: true, login: "gl-alice" } },
+      preferences: { pr: { draft: true } },
+    },
+    bob: { hasToken: false },
+  },
+};
+
+const PROFILES = {
+  "octocat@github.com": { site: "github", login: "octocat" },
+  "work@github.com": { site: "github", login: "work" },
+  "octocat@gitlab.com": { site: "gitlab", login: "octocat" },
+  "ci@git.corp.example": { site: "git.corp.example", login: "ci" },
+};
+
+// [说明, 默认账户配置, --profile, 站点, 期望的账户配置名]，期望为 { code } 时应抛出该错误
+const RESOLVE_CASES = [
+  [
+    "使用站点的默认配置",
+    { github: "work@github.com" },
+    null,
+    "github",
+    "work@github.com",
+  ],
+  ["没有默认配置时使用第一个", {}, null, "github", "octocat@github.com"],
+  ["企业版站点", {}, null, "git.corp.example", "ci@git.corp.example"],
+  ["站点没有账户配置", {}, null, "gitee", null],
+  [
+    "--profile 优先于默认配置",
+    { github: "work@github.com" },
+    "octocat@github.com",
+    "github",
+    "octocat@github.com",
+  ],
+  ["--profile 可以只写登录名", {}, "work", "github", "work@github.com"],
+  [
+    "--profile 与站点不一致",
+    {},
+    "octocat@gitlab.com",
+    "github",
+    { code: ERROR_CODES.INVALID_INPUT },
+  ],
+  [
+    "--profile 的登录名对应多个账户配置",
+    {},
+    "octocat",
+    "github",
+    { code: ERROR_CODES.INVALID_INPUT },
+  ],
+  [
+    "--profile 不存在",
+    {},
+    "nobody",
+    "github",
+    { code: ERROR_CODES.AUTH_TOKEN_MISSING },
+  ],
+];
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runTest(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ 通过: ${name}`);
+      this.passed++;
+    } catch (error) {
+      console.log(`❌ 失败: ${name}`);
+      console.log(`   错误: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testPreferenceSchema() {
+    for (const [key, input, expected] of PARSE_CASES) {
+      await this.runTest(`取值: ${key} = "${input}"`, () => {
+        if (expected === null) {
+          assert.throws(() => PreferenceSchema.parse(key, input), {
+            code: ERROR_CODES.INVALID_INPUT,
+          });
+          return;
+        }
+        assert.deepStrictEqual(PreferenceSchema.parse(key, input), expected);
+      });
+    }
+
+    await this.runTest("嵌套字段: 写入时创建中间对象", () => {
+      const preferences = { pr: "invalid" };
+      PreferenceSchema.setValue(preferences, "pr.draft", true);
+      PreferenceSchema.setValue(preferences, "checks.timeout", 60);
+      assert.deepStrictEqual(preferences, {
+        pr: { draft: true },
+        checks: { timeout: 60 },
+      });
+      assert.strictEqual(
+        PreferenceSchema.getValue(preferences, "pr.draft"),
+        true
+      );
+      assert.strictEqual(
+        PreferenceSchema.getValue(preferences, "pr.draft.value"),
+        undefined
+      );
+    });
+
+    await this.runTest("嵌套字段: 删除时移除变为空的父对象", () => {
+      const preferences = {
+        pr: { draft: true, labels: ["a"] },
+        checks: { timeout: 60 },
+      };
+      assert.ok(PreferenceSchema.unsetValue(preferences, "checks.timeout"));
+      assert.ok(PreferenceSchema.unsetValue(preferences, "pr.draft"));
+      assert.ok(!PreferenceSchema.unsetValue(preferences, "pr.reviewers"));
+      assert.ok(!PreferenceSchema.unsetValue(preferences, "remotes.push"));
+      assert.deepStrictEqual(preferences, { pr: { labels: ["a"] } });
+    });
+
+    await this.runTest("显示: 列表以逗号连接，未设置时提示", () => {
+      assert.strictEqual(PreferenceSchema.format(["a", "b"]), "a,b");
+      assert.strictEqual(PreferenceSchema.format(false), "false");
+      assert.strictEqual(PreferenceSchema.format(undefined), "(未设置)");
+    });
+  }
+
+  async testPreferenceScopes() {
+    const { getRepoConfig, getUserPreferences } = ConfigManager;
+
+    try {
+      for (const [name, repo, user, key, expected] of SCOPE_CASES) {
+        await this.runTest(`读取配置项: ${name}`, () => {
+          ConfigManager.getRepoConfig = () => repo;
+          ConfigManager.getUserPreferences = () => user;
+          assert.deepStrictEqual(ConfigManager.getPreference(key), {
+            key,
+            ...expected,
+          });
+        });
+      }
+    } finally {
+      Object.assign(ConfigManager, { getRepoConfig, getUserPreferences });
+    }
+  }
+
+  async testProfiles() {
+    const { getRepoConfig } = ConfigManager;
+    ConfigManager.getRepoConfig = () => ({});
+    const writeConfig = (config) =>
+      fs.writeFileSync(ConfigManager.CONFIG_FILE, JSON.stringify(config));
+    const readConfig = () =>
+      JSON.parse(fs.readFileSync(ConfigManager.CONFIG_FILE, "utf8"));
+
+    try {
+      await this.runTest("账户配置: 转换旧版 Token 记录并保存", () => {
+        writeConfig(LEGACY_CONFIG);
+        const { profiles } = ConfigManager.loadProfiles();
+        assert.deepStrictEqual(profiles, {
+          "octocat@github.com": {
+            site: "github",
+            login: "octocat",
+            email: "octo@example.com",
+            lastUsed: "2024-01-01T00:00:00.000Z",
+            account: "alice",
+          },
+          "gl-alice@gitlab.com": {
+            site: "gitlab",
+            login: "gl-alice",
+            email: "",
+            lastUsed: null,
+            account: "gitlab:alice",
+          },
+        });
+
+        const saved = readConfig();
+        assert.deepStrictEqual(saved.profiles, profiles);
+        assert.deepStrictEqual(saved.zhgit, {
+          alice: { preferences: { pr: { draft: true } } },
+          bob: {},
+        });
+      });
+
+      await this.runTest("账户配置: 转换不覆盖已有的账户配置", () => {
+        const existing = { site: "github", login: "octocat", account: "new" };
+        writeConfig({
+          ...LEGACY_CONFIG,
+          profiles: { "octocat@github.com": existing },
+        });
+        const { profiles } = ConfigManager.loadProfiles();
+        assert.deepStrictEqual(profiles["octocat@github.com"], existing);
+      });
+
+      await this.runTest("账户配置: 没有旧版记录时不写入配置文件", () => {
+        writeConfig({ profiles: PROFILES });
+        const before = fs.readFileSync(ConfigManager.CONFIG_FILE, "utf8");
+        ConfigManager.loadProfiles();
+        assert.strictEqual(
+          fs.readFileSync(ConfigManager.CONFIG_FILE, "utf8"),
+          before
+        );
+      });
+
+      for (const [name, defaults, override, site, expected] of RESOLVE_CASES) {
+        await this.runTest(`选择账户配置: ${name}`, () => {
+          writeConfig({ profiles: PROFILES, defaultProfiles: defaults });
+          ConfigManager.useProfile(override);
+          if (expected?.code) {
+            assert.throws(() => ConfigManager.resolveProfile(site), expected);
+            return;
+          }
+          assert.strictEqual(
+            ConfigManager.resolveProfile(site)?.name ?? null,
+            expected
+          );
+        });
+      }
+
+      await this.runTest("选择账户配置: 读取环境变量 ZHGIT_PROFILE", () => {
+        writeConfig({
+          profiles: PROFILES,
+          defaultProfiles: { github: "octocat@github.com" },
+        });
+        ConfigManager.useProfile(null);
+        process.env.ZHGIT_PROFILE = "work@github.com";
+        try {
+          assert.strictEqual(
+            ConfigManager.resolveProfile("github").name,
+            "work@github.com"
+          );
+        } finally {
+          delete process.env.ZHGIT_PROFILE;
+        }
+      });
+    } finally {
+      ConfigManager.useProfile(null);
+      ConfigManager.getRepoConfig = getRepoConfig;
+    }
+  }
+
+  async testCredentialStore() {
+    const variables = [
+      EncryptedFileStore.PASSPHRASE_ENV,
+      "ZHGIT_TOKEN",
+      "GITHUB_TOKEN",
+    ];
+    const saved = variables.map((name) => process.env[name]);
+    variables.forEach((name) => delete process.env[name]);
+    const file = EncryptedFileStore.FILE;
+    const mode = () => fs.statSync(file).mode & 0o777;
+
+    try {
+      await this.runTest("加密文件: 文件不存在时读取为 null", async () => {
+        assert.strictEqual(file, path.join(sandbox, ".zhgit-credentials"));
+        assert.strictEqual(await EncryptedFileStore.get("octocat"), null);
+        assert.strictEqual(await EncryptedFileStore.delete("octocat"), false);
+        assert.ok(!fs.existsSync(file));
+      });
+
+      await this.runTest("加密文件: 保存后可读取，文件中没有明文", async () => {
+        await EncryptedFileStore.set("octocat@github.com", "ghp_first");
+        await EncryptedFileStore.set("gl@gitlab.com", "glpat_second");
+        assert.strictEqual(
+          await EncryptedFileStore.get("octocat@github.com"),
+          "ghp_first"
+        );
+        assert.strictEqual(
+          await EncryptedFileStore.get("gl@gitlab.com"),
+          "glpat_second"
+        );
+        assert.strictEqual(await EncryptedFileStore.get("nobody"), null);
+
+        const content = fs.readFileSync(file, "utf8");
+        assert.ok(!content.includes("ghp_first"));
+        assert.ok(!content.includes("glpat_second"));
+        assert.strictEqual(JSON.parse(content).keySource, "machine");
+      });
+
+      await this.runTest(
+        "加密文件: 仅用户可读写，已有文件收紧权限",
+        async () => {
+          assert.strictEqual(mode(), 0o600);
+          fs.chmodSync(file, 0o644);
+          await EncryptedFileStore.set("octocat@github.com", "ghp_updated");
+          assert.strictEqual(mode(), 0o600);
+          assert.strictEqual(
+            await EncryptedFileStore.get("octocat@github.com"),
+            "ghp_updated"
+          );
+        }
+      );
+
+      await this.runTest("加密文件: 删除 Token", async () => {
+        assert.strictEqual(
+          await EncryptedFileStore.delete("gl@gitlab.com"),
+          true
+        );
+        assert.strictEqual(await EncryptedFileStore.get("gl@gitlab.com"), null);
+        assert.strictEqual(
+          await EncryptedFileStore.delete("gl@gitlab.com"),
+          false
+        );
+      });
+
+      await this.runTest("加密文件: 口令不一致时拒绝读取和写入", async () => {
+        fs.rmSync(file);
+        process.env.ZHGIT_CREDENTIAL_PASSPHRASE = "correct horse";
+        await EncryptedFileStore.set("octocat@github.com", "ghp_secret");
+
+        for (const passphrase of ["wrong", ""]) {
+          process.env.ZHGIT_CREDENTIAL_PASSPHRASE = passphrase;
+          await assert.rejects(EncryptedFileStore.get("octocat@github.com"), {
+            code: ERROR_CODES.CONFIG_INVALID,
+            message: /ZHGIT_CREDENTIAL_PASSPHRASE/,
+          });
+          await assert.rejects(
+            EncryptedFileStore.set("other@github.com", "ghp_other"),
+            { code: ERROR_CODES.CONFIG_INVALID }
+          );
+        }
+
+        process.env.ZHGIT_CREDENTIAL_PASSPHRASE = "correct horse";
+        assert.strictEqual(
+          await EncryptedFileStore.get("octocat@github.com"),
+          "ghp_secret"
+        );
+        assert.strictEqual(
+          await EncryptedFileStore.get("other@github.com"),
+          null
+        );
+      });
+
+      await this.runTest("加密文件: 文件损坏时报告文件位置", async () => {
+        fs.writeFileSync(file, "{");
+        await assert.rejects(EncryptedFileStore.get("octocat@github.com"), {
+          code: ERROR_CODES.CONFIG_INVALID,
+          details: { filePath: file },
+        });
+      });
+
+      await this.runTest("环境变量: GITHUB_TOKEN 只用于 github", () => {
+        process.env.GITHUB_TOKEN = "ghp_env";
+        assert.deepStrictEqual(EnvStore.getToken("github"), {
+          variable: "GITHUB_TOKEN",
+          token: "ghp_env",
+        });
+        assert.strictEqual(EnvStore.getToken("gitlab"), null);
+
+        process.env.ZHGIT_TOKEN = "zhgit_env";
+        assert.strictEqual(EnvStore.getToken("github").variable, "ZHGIT_TOKEN");
+        assert.strictEqual(EnvStore.getToken("gitlab").token, "zhgit_env");
+      });
+
+      await this.runTest("环境变量: 只读，不能保存 Token", async () => {
+        await assert.rejects(EnvStore.set("octocat", "ghp"), {
+          code: ERROR_CODES.INVALID_INPUT,
+        });
+        assert.strictEqual(await CredentialStore.select("env"), EnvStore);
+      });
+
+      await this.runTest("存储后端: 不支持的后端", () => {
+        assert.throws(() => CredentialStore.get("vault"), {
+          code: ERROR_CODES.CONFIG_INVALID,
+        });
+      });
+    } finally {
+      variables.forEach((name, index) => {
+        if (saved[index] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = saved[index];
+        }
+      });
+    }
+  }
+
+  async runAllTests() {
+    console.log("🚀 开始偏好设置、账户配置与凭据存储测试\n");
+
+    try {
+      await this.testPreferenceSchema();
+      await this.testPreferenceScopes();
+      await this.testProfiles();
+      await this.testCredentialStore();
+    } finally {
+      fs.rmSync(sandbox, { recursive: true, force: true });
+    }
+
+    console.log("\n" + "=".repeat(50));
+    console.log(`✅ 通过: ${this.passed}`);
+    console.log(`❌ 失败: ${this.failed}`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+await new TestRunner().runAllTests();
@@ -0,0 +1,491 @@
+#!/usr/bin/env node
+
+/**
+ * push 命令测试脚本
+ * 在临时目录中创建远程仓库和克隆，验证推送会话记录、回滚顺序、推送计划和推送流程的提交分析
+ */
+
+import assert from "assert";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// 使用独立的主目录，避免读写真实的 ~/.zhihaorc 和 git 全局配置
+const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), "zhgit-push-"));
+process.env.HOME = path.join(sandbox, "home");
+fs.mkdirSync(process.env.HOME);
+
+function git(args, cwd = process.cwd()) {
+  return execFileSync("git", args, {
+    cwd,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+  }).trim();
+}
+
+git(["config", "--global", "user.name", "tester"], sandbox);
+git(["config", "--global", "user.email", "tester@example.com"], sandbox);
+git(["config", "--global", "init.defaultBranch", "main"], sandbox);
+
+const { default: Push } = await import("../packages/push/src/index.js");
+const { default: PushSession } =
+  await import("../packages/push/src/pushSession.js");
+const { default: RollbackManager } =
+  await import("../packages/push/src/rollback.js");
+const { ERROR_CODES } = await import("../packages/utils/src/index.js");
+
+// Command 只需要 commander 实例注册命令，测试直接调用命令的方法
+const program = {
+  command: () => ({
+    description() {},
+    hook() {},
+    option() {},
+    action() {},
+  }),
+};
+
+/**
+ * 提交一个文件
+ */
+function commitFile(cwd, file, message) {
+  fs.writeFileSync(path.join(cwd, file), `${message}\n`);
+  git(["add", file], cwd);
+  git(["commit", "-q", "-m", message], cwd);
+}
+
+/**
+ * 创建远程仓库：main 上有初始提交，dev 在其后多一个 chore 提交
+ * @returns {string} 远程仓库路径
+ */
+function createOrigin(name) {
+  const origin = path.join(sandbox, `${name}.git`);
+  const seed = path.join(sandbox, `${name}-seed`);
+  git(["init", "-q", "--bare", origin]);
+  git(["clone", "-q", origin, seed], sandbox);
+  commitFile(seed, "README.md", "docs: 初始化");
+  git(["push", "-q", "origin", "main"], seed);
+  git(["checkout", "-q", "-b", "dev"], seed);
+  commitFile(seed, "dev.txt", "chore: dev edit");
+  git(["push", "-q", "origin", "dev"], seed);
+  return origin;
+}
+
+/**
+ * 克隆远程仓库，并基于 origin/dev 创建带 feat 和 fix 提交的功能分支
+ * 克隆中没有本地 dev 分支
+ * @returns {string} 克隆路径
+ */
+function cloneWithFeature(origin, name) {
+  const clone = path.join(sandbox, name);
+  git(["clone", "-q", origin, clone], sandbox);
+  git(["checkout", "-q", "-b", "feature/login", "origin/dev"], clone);
+  commitFile(clone, "login.js", "feat: 登录");
+  commitFile(clone, "fix.js", "fix: 修复登录跳转");
+  return clone;
+}
+
+/**
+ * 在仓库中执行函数，收集 console 输出
+ * @returns {Object} { output, error }
+ */
+async function runIn(cwd, fn) {
+  const previous = process.cwd();
+  const { log, error: logError } = console;
+  const lines = [];
+  console.log = (...args) => lines.push(args.join(" "));
+  console.error = console.log;
+  process.chdir(cwd);
+
+  try {
+    await fn();
+    return { output: lines.join("\n"), error: null };
+  } catch (error) {
+    return { output: lines.join("\n"), error };
+  } finally {
+    process.chdir(previous);
+    Object.assign(console, { log, error: logError });
+  }
+}
+
+/**
+ * 记录创建的 PR 的托管平台
+ */
+function createProvider() {
+  const pullRequests = [];
+  return {
+    pullRequests,
+    displayName: "Mock",
+    findPullRequest: async () => null,
+    createPullRequest: async (params) => {
+      pullRequests.push(params);
+      return {
+        ...params,
+        number: pullRequests.length,
+        html_url: `https://git.example/pulls/${pullRequests.length}`,
+      };
+    },
+    applyMetadata: async () => ({
+      reviewers: [],
+      assignees: [],
+      milestone: null,
+      ignored: [],
+    }),
+  };
+}
+
+function createCommand() {
+  const command = Push(program);
+  command.remotes = { push: "origin", base: "origin" };
+  command.provider = createProvider();
+  return command;
+}
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  async runTest(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ 通过: ${name}`);
+      this.passed++;
+    } catch (error) {
+      console.log(`❌ 失败: ${name}`);
+      console.log(`   错误: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  async testPlan() {
+    const origin = createOrigin("plan");
+
+    await this.runTest(
+      "dry-run: 没有本地目标分支时按远程分支分析提交",
+      async () => {
+        const clone = cloneWithFeature(origin, "plan-fresh");
+        const { output, error } = await runIn(clone, () =>
+          createCommand().planPush("dev", {})
+        );
+        assert.ifError(error);
+        assert.match(output, /可以无冲突合并/);
+        assert.match(output, /feat: 登录/);
+        assert.match(output, /fix: 修复登录跳转/);
+        assert.doesNotMatch(output, /chore: dev edit/);
+        assert.match(output, /type:feat/);
+      }
+    );
+
+    await this.runTest("dry-run: 忽略过期的本地目标分支", async () => {
+      const clone = cloneWithFeature(origin, "plan-stale");
+      git(["branch", "dev", "origin/dev~1"], clone);
+      const { output, error } = await runIn(clone, () =>
+        createCommand().planPush("dev", {})
+      );
+      assert.ifError(error);
+      assert.doesNotMatch(output, /chore: dev edit/);
+      assert.doesNotMatch(output, /type:chore/);
+    });
+  }
+
+  // 合并分支名带秒级时间戳，每个推送测试使用单独的远程仓库，避免推送重名
+  async testPush() {
+    await this.runTest(
+      "推送: 没有本地目标分支时按远程分支创建 PR",
+      async () => {
+        const clone = cloneWithFeature(
+          createOrigin("push-fresh"),
+          "push-fresh"
+        );
+        const command = createCommand();
+        const { error } = await runIn(clone, () =>
+          command.startPush("dev", {})
+        );
+        assert.ifError(error);
+
+        const [pullRequest] = command.provider.pullRequests;
+        assert.strictEqual(pullRequest.base, "dev");
+        assert.match(pullRequest.body, /feat: 登录/);
+        assert.doesNotMatch(pullRequest.body, /chore: dev edit/);
+        assert.deepStrictEqual(pullRequest.labels.sort(), [
+          "type:feat",
+          "type:fix",
+        ]);
+        assert.strictEqual(
+          git(["branch", "--show-current"], clone),
+          "feature/login"
+        );
+      }
+    );
+
+    await this.runTest("推送: 忽略过期的本地目标分支", async () => {
+      const clone = cloneWithFeature(createOrigin("push-stale"), "push-stale");
+      git(["branch", "dev", "origin/dev~1"], clone);
+      const command = createCommand();
+      const { error } = await runIn(clone, () => command.startPush("dev", {}));
+      assert.ifError(error);
+
+      const [pullRequest] = command.provider.pullRequests;
+      assert.doesNotMatch(pullRequest.body, /chore: dev edit/);
+      assert.ok(!pullRequest.labels.includes("type:chore"));
+    });
+
+    await this.runTest("推送: 压缩合并时按原分支的提交生成 PR", async () => {
+      const clone = cloneWithFeature(
+        createOrigin("push-squash"),
+        "push-squash"
+      );
+      const command = createCommand();
+      const { error } = await runIn(clone, () =>
+        command.startPush("dev", { strategy: "squash" })
+      );
+      assert.ifError(error);
+
+      const [pullRequest] = command.provider.pullRequests;
+      assert.match(pullRequest.body, /feat: 登录/);
+      assert.match(pullRequest.body, /fix: 修复登录跳转/);
+      assert.deepStrictEqual(pullRequest.labels.sort(), [
+        "type:feat",
+        "type:fix",
+      ]);
+    });
+  }
+
+  async testMergeBranch() {
+    const origin = createOrigin("merge-branch");
+
+    for (const [name, opts, option] of [
+      ["--strategy", { strategy: "squash" }, /--strategy/],
+      ["--pick", { pick: ["HEAD"] }, /--pick/],
+    ]) {
+      await this.runTest(`合并分支: 拒绝 ${name}`, async () => {
+        const clone = cloneWithFeature(origin, `merge-branch${name}`);
+        git(
+          ["checkout", "-q", "-b", "tester-push-feature/login-to-dev-1"],
+          clone
+        );
+        const command = createCommand();
+        for (const run of [
+          () => command.startPush("dev", opts),
+          () => command.planPush("dev", opts),
+        ]) {
+          const { error } = await runIn(clone, run);
+          assert.ok(error, "应拒绝合并选项");
+          assert.match(error.message, option);
+        }
+        assert.strictEqual(command.provider.pullRequests.length, 0);
+      });
+    }
+  }
+
+  async testDefaultBase() {
+    const origin = createOrigin("default-base");
+    // action 出错时退出进程，测试中改为抛出错误
+    const run = (clone) =>
+      runIn(clone, async () => {
+        const { exit } = process;
+        process.exit = (code) => {
+          throw new Error(`exit ${code}`);
+        };
+        try {
+          await createCommand().action([[], { dryRun: true }]);
+        } finally {
+          process.exit = exit;
+        }
+      });
+
+    await this.runTest("默认目标分支: 未设置时提示指定目标分支", async () => {
+      const clone = cloneWithFeature(origin, "default-base-unset");
+      const { output, error } = await run(clone);
+      assert.match(error.message, /exit 1/);
+      assert.match(output, /zhgit config set push\.defaultBase <branch>/);
+    });
+
+    await this.runTest("默认目标分支: 使用 push.defaultBase", async () => {
+      const clone = cloneWithFeature(origin, "default-base-set");
+      fs.writeFileSync(
+        path.join(clone, ".zhgitrc.json"),
+        JSON.stringify({ push: { defaultBase: "dev" } })
+      );
+      const { output, error } = await run(clone);
+      assert.ifError(error);
+      assert.match(output, /目标分支: dev/);
+    });
+  }
+
+  async testSession() {
+    const clone = cloneWithFeature(createOrigin("session"), "session");
+    const previous = process.cwd();
+    process.chdir(clone);
+
+    try {
+      await this.runTest("推送会话: 保存在 .git 目录中并可读取", () => {
+        const session = PushSession.create({
+          originalBranch: "feature/login",
+          tempBranch: "tester-push-feature/login-to-dev-1",
+          target: "dev",
+          username: "tester",
+          strategy: "squash",
+          prOptions: { draft: true },
+        });
+        assert.strictEqual(
+          PushSession.getPath(),
+          path.join(clone, ".git", PushSession.FILE_NAME)
+        );
+        assert.deepStrictEqual(PushSession.load(), session);
+        assert.deepStrictEqual(session.remotes, {
+          push: "origin",
+          base: "origin",
+        });
+        assert.deepStrictEqual(session.completedSteps, []);
+        assert.strictEqual(git(["status", "--porcelain"], clone), "");
+      });
+
+      await this.runTest("推送会话: 记录已完成的步骤", () => {
+        const session = PushSession.load();
+        PushSession.completeStep(session, "fetch");
+        PushSession.completeStep(session, "fetch");
+        PushSession.completeStep(session, "createBranch");
+
+        const loaded = PushSession.load();
+        assert.deepStrictEqual(loaded.completedSteps, [
+          "fetch",
+          "createBranch",
+        ]);
+        assert.ok(PushSession.isCompleted(loaded, "createBranch"));
+        assert.ok(!PushSession.isCompleted(loaded, "merge"));
+      });
+
+      await this.runTest("推送会话: 清除后读取为 null", () => {
+        PushSession.clear();
+        PushSession.clear();
+        assert.strictEqual(PushSession.load(), null);
+      });
+
+      await this.runTest("推送会话: 记录损坏时报告文件位置", () => {
+        fs.writeFileSync(PushSession.getPath(), "{");
+        try {
+          assert.throws(
+            () => PushSession.load(),
+            (error) => {
+              assert.strictEqual(error.code, ERROR_CODES.CONFIG_INVALID);
+              assert.strictEqual(error.details.filePath, PushSession.getPath());
+              return true;
+            }
+          );
+        } finally {
+          PushSession.clear();
+        }
+      });
+    } finally {
+      process.chdir(previous);
+    }
+  }
+
+  async testRollback() {
+    await this.runTest("回滚: 按登记的相反顺序执行", async () => {
+      const order = [];
+      const rollback = new RollbackManager();
+      ["创建分支", "合并", "推送"].forEach((step) => {
+        rollback.register(step, async () => order.push(step));
+      });
+
+      const result = await rollback.rollback();
+      assert.deepStrictEqual(order, ["推送", "合并", "创建分支"]);
+      assert.deepStrictEqual(
+        result.rolledBack.map(({ description }) => description),
+        order
+      );
+      assert.deepStrictEqual(result.leftInPlace, []);
+    });
+
+    await this.runTest("回滚: 保留未启用和执行失败的操作", async () => {
+      const order = [];
+      const rollback = new RollbackManager();
+      rollback.register("切换分支", () => order.push("切换分支"));
+      rollback.register("删除远程分支", () => order.push("删除远程分支"), {
+        enabled: false,
+        reason: "已创建 PR",
+      });
+      rollback.register("删除本地分支", () => {
+        throw new Error("分支不存在");
+      });
+
+      const result = await rollback.rollback();
+      assert.deepStrictEqual(order, ["切换分支"]);
+      assert.deepStrictEqual(result.leftInPlace, [
+        {
+          description: "删除本地分支",
+          reason: "回滚失败: 分支不存在",
+          failed: true,
+        },
+        { description: "删除远程分支", reason: "已创建 PR" },
+      ]);
+    });
+
+    await this.runTest(
+      "回滚: 创建 PR 失败时删除合并分支并切换回原分支",
+      async () => {
+        const origin = createOrigin("rollback");
+        const clone = cloneWithFeature(origin, "rollback");
+        const command = createCommand();
+        command.provider.createPullRequest = async () => {
+          throw new Error("服务不可用");
+        };
+        const { output, error } = await runIn(clone, () =>
+          command.startPush("dev", {})
+        );
+        assert.ok(error, "应报告创建 PR 失败");
+        assert.match(output, /已回滚/);
+
+        assert.strictEqual(
+          git(["branch", "--show-current"], clone),
+          "feature/login"
+        );
+        assert.strictEqual(git(["branch", "--list", "*-to-dev-*"], clone), "");
+        assert.strictEqual(git(["branch", "--list", "*-to-dev-*"], origin), "");
+      }
+    );
+
+    await this.runTest("回滚: 提交或回滚后清空登记的操作", async () => {
+      const rollback = new RollbackManager();
+      rollback.register("合并", () => {});
+      rollback.commit();
+      assert.deepStrictEqual(await rollback.rollback(), {
+        rolledBack: [],
+        leftInPlace: [],
+      });
+
+      rollback.register("合并", () => {});
+      await rollback.rollback();
+      assert.deepStrictEqual(rollback.actions, []);
+    });
+  }
+
+  async runAllTests() {
+    console.log("🚀 开始 push 命令测试\n");
+
+    try {
+      await this.testSession();
+      await this.testRollback();
+      await this.testPlan();
+      await this.testPush();
+      await this.testMergeBranch();
+      await this.testDefaultBase();
+    } finally {
+      fs.rmSync(sandbox, { recursive: true, force: true });
+    }
+
+    console.log("\n" + "=".repeat(50));
+    console.log(`✅ 通过: ${this.passed}`);
+    console.log(`❌ 失败: ${this.failed}`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+await new TestRunner().runAllTests();
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * 推送目标分支策略测试脚本
+ * 逐条验证 glob 模式的匹配结果，以及仓库配置、用户偏好与默认值合并后的目标分支配置
+ */
+
+import assert from "assert";
+// 各模块与入口存在循环引用，先加载入口
+import {
+  ConfigManager,
+  TargetPolicy,
+  ERROR_CODES,
+} from "../packages/utils/src/index.js";
+
+// [模式, 分支名, 是否匹配]
+const PATTERN_CASES = [
+  ["release/*", "release/1.2", true],
+  ["release/*", "release/", false],
+  ["release/*", "release", false],
+  ["release/*", "release/1.2/hotfix", false],
+  ["release/**", "release/1.2/hotfix", true],
+  ["release/**", "release/", false],
+  ["hotfix-?", "hotfix-1", true],
+  ["hotfix-?", "hotfix-12", false],
+  ["v1.*", "v1.2", true],
+  ["v1.*", "v1x2", false],
+  ["feature/(a)*", "feature/(a)b", true],
+];
+
+// [说明, 仓库配置, 用户偏好, 分支名, 期望结果]，期望结果为 null 表示不允许推送
+const RESOLVE_CASES = [
+  ["未配置时使用默认目标", {}, {}, "dev", { pattern: "dev", settings: {} }],
+  ["未配置时拒绝其他分支", {}, {}, "release/1.2", null],
+  [
+    "仓库配置的目标优先于用户偏好",
+    { targets: { main: {} } },
+    { targets: { dev: {} } },
+    "dev",
+    null,
+  ],
+  [
+    "用户偏好补充仓库目标的设置",
+    { targets: { main: { draft: true } } },
+    { targets: { main: { reviewers: ["alice"] }, dev: {} } },
+    "main",
+    { pattern: "main", settings: { draft: true, reviewers: ["alice"] } },
+  ],
+  [
+    "精确匹配优先于模式",
+    { targets: { "release/*": { draft: true }, "release/1.0": {} } },
+    {},
+    "release/1.0",
+    { pattern: "release/1.0", settings: {} },
+  ],
+  [
+    "按配置顺序匹配第一个模式",
+    { targets: { "release/*": { draft: true }, "release/**": {} } },
+    {},
+    "release/1.2",
+    { pattern: "release/*", settings: { draft: true } },
+  ],
+  [
+    "模式不匹配空的路径",
+    { targets: { "release/*": {} } },
+    {},
+    "release/",
+    null,
+  ],
+  [
+    "偏好设置中的默认值被目标配置覆盖",
+    {
+      targets: { main: { strategy: "squash" } },
+      push: { strategy: "rebase" },
+      pr: { draft: true },
+    },
+    {},
+    "main",
+    { pattern: "main", settings: { strategy: "squash", draft: true } },
+  ],
+  ["空分支名", {}, {}, "", null],
+];
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  runTest(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ 通过: ${name}`);
+      this.passed++;
+    } catch (error) {
+      console.log(`❌ 失败: ${name}`);
+      console.log(`   错误: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  testPatterns() {
+    PATTERN_CASES.forEach(([pattern, branch, expected]) => {
+      this.runTest(
+        `${pattern} ${expected ? "匹配" : "不匹配"} ${branch}`,
+        () => {
+          assert.strictEqual(
+            TargetPolicy.patternToRegExp(pattern).test(branch),
+            expected
+          );
+        }
+      );
+    });
+  }
+
+  testResolve() {
+    const { getRepoConfig, getUserPreferences } = ConfigManager;
+
+    try {
+      RESOLVE_CASES.forEach(([name, repo, user, branch, expected]) => {
+        this.runTest(`解析目标: ${name}`, () => {
+          ConfigManager.getRepoConfig = () => repo;
+          ConfigManager.getUserPreferences = () => user;
+          if (expected === null) {
+            assert.throws(() => TargetPolicy.resolve(branch), {
+              code: ERROR_CODES.INVALID_INPUT,
+            });
+            return;
+          }
+          assert.deepStrictEqual(TargetPolicy.resolve(branch), {
+            name: branch,
+            ...expected,
+          });
+        });
+      });
+    } finally {
+      Object.assign(ConfigManager, { getRepoConfig, getUserPreferences });
+    }
+  }
+
+  runAllTests() {
+    console.log("🚀 开始推送目标分支策略测试\n");
+
+    this.testPatterns();
+    this.testResolve();
+
+    console.log("\n" + "=".repeat(50));
+    console.log(`✅ 通过: ${this.passed}`);
+    console.log(`❌ 失败: ${this.failed}`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+new TestRunner().runAllTests();
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * 模板引擎测试脚本
+ * 逐条验证 TemplateEngine 的渲染结果和语法错误
+ */
+
+import assert from "assert";
+// 各模块与入口存在循环引用，先加载入口
+import { TemplateEngine, ERROR_CODES } from "../packages/utils/src/index.js";
+
+const CONTEXT = {
+  sourceBranch: "feature/login",
+  targetBranch: "dev",
+  totalCommits: 2,
+  firstCommit: { message: "feat: 登录", author: "alice" },
+  commits: [
+    { hash: "a1b2c3d", message: "feat: 登录" },
+    { hash: "e4f5a6b", message: "fix: 跳转" },
+  ],
+  labels: ["type:feat", "type:fix"],
+  reviewers: [],
+  draft: false,
+  milestone: null,
+};
+
+// [说明, 模板, 期望结果]
+const RENDER_CASES = [
+  ["变量", "{{sourceBranch}} → {{targetBranch}}", "feature/login → dev"],
+  ["标签内的空白", "{{ targetBranch }}", "dev"],
+  ["嵌套字段", "{{firstCommit.author}}", "alice"],
+  ["数字", "共 {{totalCommits}} 个提交", "共 2 个提交"],
+  ["未定义和 null 的变量为空", "[{{missing}}{{milestone}}{{a.b.c}}]", "[]"],
+  [
+    "循环访问元素字段",
+    "{{#each commits}}- {{hash}} {{message}}\n{{/each}}",
+    "- a1b2c3d feat: 登录\n- e4f5a6b fix: 跳转\n",
+  ],
+  [
+    "循环序号和当前元素",
+    "{{#each labels}}{{@number}}/{{@index}}:{{this}} {{/each}}",
+    "1/0:type:feat 2/1:type:fix ",
+  ],
+  [
+    "循环内访问外层变量",
+    "{{#each labels}}{{this}}@{{targetBranch}} {{/each}}",
+    "type:feat@dev type:fix@dev ",
+  ],
+  ["空列表进入 else", "{{#each reviewers}}{{this}}{{else}}无{{/each}}", "无"],
+  [
+    "非数组的值按空列表处理",
+    "{{#each sourceBranch}}{{this}}{{else}}无{{/each}}",
+    "无",
+  ],
+  ["条件为真", "{{#if labels}}有标签{{else}}无标签{{/if}}", "有标签"],
+  ["空数组为假", "{{#if reviewers}}有{{else}}无{{/if}}", "无"],
+  ["false 为假", "{{#if draft}}草稿{{/if}}", ""],
+  [
+    "嵌套条件和循环",
+    "{{#if commits}}{{#each commits}}{{#if hash}}{{@number}}{{/if}}{{/each}}{{/if}}",
+    "12",
+  ],
+  [
+    "没有标签的模板原样输出",
+    "## 说明\n{ 不是标签 }\n",
+    "## 说明\n{ 不是标签 }\n",
+  ],
+];
+
+// [说明, 模板, 错误信息]
+const ERROR_CASES = [
+  ["空标签", "{{}}", /空标签/],
+  ["只有空白的标签", "{{   }}", /空标签/],
+  ["只有开始标记", "{{#}}", /空标签/],
+  ["不支持的块标签", "{{#with commit}}{{/with}}", /不支持的标签/],
+  ["块标签缺少参数", "{{#each}}{{/each}}", /不支持的标签/],
+  ["缺少结束标签", "{{#each commits}}{{hash}}", /缺少结束标签/],
+  ["结束标签不匹配", "{{#if draft}}{{/each}}", /没有对应的开始标签/],
+  ["多余的结束标签", "{{/if}}", /没有对应的开始标签/],
+  ["else 不在块中", "{{else}}", /必须位于/],
+];
+
+class TestRunner {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  runTest(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ 通过: ${name}`);
+      this.passed++;
+    } catch (error) {
+      console.log(`❌ 失败: ${name}`);
+      console.log(`   错误: ${error.message}`);
+      this.failed++;
+    }
+  }
+
+  runAllTests() {
+    console.log("🚀 开始模板引擎测试\n");
+
+    RENDER_CASES.forEach(([name, template, expected]) => {
+      this.runTest(`渲染: ${name}`, () => {
+        assert.strictEqual(TemplateEngine.render(template, CONTEXT), expected);
+      });
+    });
+
+    ERROR_CASES.forEach(([name, template, message]) => {
+      this.runTest(`语法错误: ${name}`, () => {
+        assert.throws(() => TemplateEngine.render(template, CONTEXT), {
+          code: ERROR_CODES.INVALID_INPUT,
+          message,
+        });
+      });
+    });
+
+    console.log("\n" + "=".repeat(50));
+    console.log(`✅ 通过: ${this.passed}`);
+    console.log(`❌ 失败: ${this.failed}`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+new TestRunner().runAllTests();